@@ -4,12 +4,17 @@ const axios = require("axios");
 const fs = require("fs");
 const fsp = require("fs").promises;
 const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { AsyncLocalStorage } = require("async_hooks");
 const { v4: uuidv4 } = require("uuid");
 const multer = require("multer");
 
-// FFmpeg Setup
-const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
-const ffprobePath = require("@ffprobe-installer/ffprobe").path;
+// FFmpeg Setup - FFMPEG_PATH/FFPROBE_PATH select a system build instead of the bundled one
+// (the Docker image uses Debian's, whose libass shapes complex scripts with HarfBuzz)
+const ffmpegPath = process.env.FFMPEG_PATH || require("@ffmpeg-installer/ffmpeg").path;
+const ffprobePath = process.env.FFPROBE_PATH || require("@ffprobe-installer/ffprobe").path;
 ffmpeg.setFfmpegPath(ffmpegPath);
 ffmpeg.setFfprobePath(ffprobePath);
 
@@ -21,8 +26,108 @@ const FONTS = {
     korean: path.join(__dirname, "public", "fonts", "Jua-Regular.ttf")
 };
 
-// Overlay Image Configuration
-const OVERLAY_IMAGE_PATH = path.join(__dirname, "image", "blackbarLucien.png");
+// Font families selectable by name from templates (applied to Latin text)
+const FONT_FAMILIES = {
+    "montserrat": path.join(__dirname, "public", "fonts", "Montserrat-Bold.ttf"),
+    "montserrat-variable": path.join(__dirname, "public", "fonts", "Montserrat-VariableFont_wght.ttf"),
+    "anton": path.join(__dirname, "public", "fonts", "Anton-Regular.ttf"),
+    "zcool-kuaile": path.join(__dirname, "public", "fonts", "ZCOOLKuaiLe-Regular.ttf"),
+    "rampart-one": path.join(__dirname, "public", "fonts", "RampartOne-Regular.ttf"),
+    "jua": path.join(__dirname, "public", "fonts", "Jua-Regular.ttf")
+};
+
+// Text is rendered by libass from the font files in FONTS_DIR plus the system fonts below.
+// Characters the template/language font has no glyph for fall back through the other repo fonts,
+// then FALLBACK_FONTS (comma-separated font files), then these - missing files are skipped.
+const FONTS_DIR = path.join(__dirname, "public", "fonts");
+const FONT_FILE_PATTERN = /\.(ttf|otf|ttc)$/i; // libass loads every file in its fontsdir, so it gets only these
+const SYSTEM_FALLBACK_FONTS = [
+    "/usr/share/fonts/truetype/noto/NotoSans-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansArabic-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansHebrew-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansDevanagari-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansBengali-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansThai-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansArmenian-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansGeorgian-Bold.ttf",
+    "/usr/share/fonts/opentype/noto/NotoSansCJK-Bold.ttc",
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf"
+];
+const FALLBACK_FONTS = [
+    ...(process.env.FALLBACK_FONTS || "").split(",").map(file => file.trim()).filter(Boolean),
+    ...SYSTEM_FALLBACK_FONTS
+];
+
+// Color emoji are overlaid as Twemoji images (libass can only draw monochrome glyphs)
+const EMOJI_DATA_DIR = path.dirname(require.resolve("emoji-datasource-twitter/package.json"));
+const EMOJI_IMAGES_DIR = path.join(EMOJI_DATA_DIR, "img", "twitter", "64");
+
+// Caption Configuration - timed captions are burned in with an ASS pass
+const CAPTION_DEFAULTS = {
+    karaoke: true,
+    highlight_color: "yellow",
+    words_per_line: 6
+};
+const CAPTION_LIMITS = {
+    words_per_line: [1, 20]
+};
+
+// Template Configuration - overlay, branding and text styling live in templates/<name>.json
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+const DEFAULT_TEMPLATE = "default";
+// Template pixel values (margins, safe zones, branding size) are authored for a 720p canvas
+const TEMPLATE_REFERENCE_HEIGHT = 720;
+const MIN_BRANDING_FONT_SIZE = 12;
+const ANCHORS = [
+    'top-left', 'top-center', 'top-right',
+    'center-left', 'center', 'center-right',
+    'bottom-left', 'bottom-center', 'bottom-right'
+];
+// Branding - template text or a PNG logo, optionally moving so it's hard to crop out (see addBranding)
+const BRANDING_MOTIONS = ['none', 'bounce', 'corner_switch', 'fade_in'];
+const BRANDING_CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left']; // corner_switch order
+const BRANDING_LIMITS = {
+    margin_x: [0, 500],
+    margin_y: [0, 500],
+    scale: [0.02, 1],
+    opacity: [0, 1],
+    bounce_speed: [5, 1000],
+    corner_switch_interval: [0.5, 600],
+    fade_in_delay: [0, 600],
+    fade_in_duration: [0.1, 30]
+};
+const BRANDING_LOGO_FPS = 25; // frame rate of a looped logo (only fading logos loop)
+// Meme text fitting - the box, line and size limits come from the template's text section
+const TEXT_LINE_SPACING = 1.1; // line height as a multiple of the font size
+const TEXT_SIZE_MATCH_RATIO = 0.75; // top/bottom sizes at least this close (smaller / larger) are evened out
+const TEXT_MEASURE_SIZE = 100; // text is measured once at this pixel size and scaled from there
+// Meme text styling - the template's text section, overridable per block (meme_top_style / meme_bottom_style)
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+const TEXT_STYLE_COLORS = ['color', 'stroke_color', 'background_color'];
+const TEXT_STYLE_LIMITS = {
+    stroke_width: [0, 20],
+    background_padding: [0, 100],
+    letter_spacing: [-0.1, 1] // in em
+};
+const TEXT_GRADIENT_BANDS = 12; // a gradient fill is drawn as this many flat bands per line
+// Meme text timing - per block (meme_top_animation / meme_bottom_animation), lines enter one after another
+const TEXT_ANIMATIONS = ['none', 'fade', 'pop', 'slide', 'typewriter'];
+const TEXT_SLIDE_EDGES = ['left', 'right', 'top', 'bottom'];
+const TEXT_ANIMATION_DEFAULTS = {
+    start: 0,
+    end: null, // null = the end of the video
+    entrance: 'none',
+    exit: 'none',
+    duration: 0.4, // of each line's entrance and exit
+    stagger: 0.15, // between one line's entrance and the next (a typewriter waits for the line before)
+    slide_from: null // null = the block's own edge, top or bottom
+};
+const TEXT_ANIMATION_LIMITS = {
+    start: [0, 3600],
+    end: [0, 3600],
+    duration: [0.05, 10],
+    stagger: [0, 10]
+};
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -31,6 +136,164 @@ app.use(express.json({ limit: "50mb" }));
 
 const TEMP_DIR = "/tmp";
 const OUTPUT_DIR = path.join(TEMP_DIR, "output");
+const LIBASS_FONTS_DIR = path.join(TEMP_DIR, "fonts"); // links to the font files of FONTS_DIR
+
+// Still-image Video Configuration (used by /api/create-video)
+const STILL_VIDEO_WIDTH = 1280;
+const STILL_VIDEO_HEIGHT = 720;
+const STILL_VIDEO_FPS = 25;
+const STILL_VIDEO_DEFAULT_DURATION = parseFloat(process.env.STILL_VIDEO_DURATION) || 6;
+const STILL_VIDEO_MAX_DURATION = 60;
+const KEN_BURNS_EFFECTS = ['none', 'zoom-in', 'zoom-out', 'pan-left', 'pan-right'];
+
+// Clip Stitching Configuration - the `clips` request option
+// Crossfade and wipe overlap the clips and are blended frame by frame (no xfade needed)
+const CLIP_TRANSITIONS = ['cut', 'crossfade', 'fade_black', 'wipe'];
+const CLIP_BLEND_EXPRESSIONS = {
+    crossfade: (duration) => `A*(1-T/${duration})+B*T/${duration}`,
+    wipe: (duration) => `if(lte(X\\,W*T/${duration})\\,B\\,A)` // next clip sweeps in from the left
+};
+const CLIP_MAX_COUNT = 20;
+const CLIP_DEFAULT_TRANSITION_DURATION = 0.5;
+const CLIP_TRANSITION_DURATION_LIMITS = [0.1, 5];
+const STITCH_FPS = 30;
+const STITCH_AUDIO_RATE = 48000;
+
+// Source Edits - trim, speed, reverse and looping, applied to the source before any rendering
+// (top-level request fields; trim_end/loop_to_duration null = off)
+const SOURCE_EDIT_DEFAULTS = { trim_start: 0, trim_end: null, speed: 1, loop_count: 1, loop_to_duration: null };
+const SOURCE_EDIT_LIMITS = {
+    trim_start: [0, 86400],
+    trim_end: [0, 86400],
+    speed: [0.25, 4],
+    loop_count: [1, 20],
+    loop_to_duration: [0.1, 600]
+};
+const SOURCE_REVERSE_MAX_SECONDS = 60; // reverse holds every frame in memory
+const SOURCE_EDIT_MAX_DURATION = 600;
+
+// Preview Configuration (used by /api/preview)
+const PREVIEW_IMAGE_FORMATS = { png: 'image/png', jpeg: 'image/jpeg' };
+const PREVIEW_VARIANTS = ['with_overlay', 'without_overlay'];
+const PREVIEW_QUICK_MAX_SIDE = 640;
+// Previews render inside the request, outside the job queue - they get their own limits
+const PREVIEW_CONCURRENCY = Math.max(1, parseInt(process.env.PREVIEW_CONCURRENCY, 10) || 2);
+const PREVIEW_TIMEOUT_SECONDS = parseInt(process.env.PREVIEW_TIMEOUT_SECONDS || "120", 10); // 0 = none
+
+// Output Format Presets - target canvases for the `formats` request option
+const FORMAT_PRESETS = {
+    "16:9": { width: 1280, height: 720 },
+    "9:16": { width: 720, height: 1280 },
+    "1:1": { width: 720, height: 720 },
+    "4:5": { width: 720, height: 900 }
+};
+const FIT_MODES = ['letterbox', 'blur', 'crop'];
+
+// Extra output containers encoded from each final MP4 (the MP4 is always produced)
+const OUTPUT_FORMATS = ['mp4', 'gif', 'webm'];
+const GIF_DEFAULTS = { fps: 12, width: 480, max_duration: 10 };
+const GIF_LIMITS = { fps: [1, 30], width: [64, 1280], max_duration: [1, 60] };
+
+// Poster images (and optional contact sheets) pulled from every final MP4
+// timestamp: null = auto-pick with `pick`; contact_sheet_frames: 0 = no contact sheet
+const THUMBNAIL_PICKS = ['scene', 'brightness'];
+const THUMBNAIL_DEFAULTS = {
+    timestamp: null,
+    pick: 'scene',
+    image_format: 'jpeg',
+    contact_sheet_frames: 0,
+    contact_sheet_columns: 5,
+    contact_sheet_tile_width: 240
+};
+const THUMBNAIL_LIMITS = {
+    timestamp: [0, 86400],
+    contact_sheet_frames: [0, 100],
+    contact_sheet_columns: [1, 20],
+    contact_sheet_tile_width: [64, 640]
+};
+const POSTER_ANALYSIS_FPS = 4;
+const POSTER_ANALYSIS_MAX_SECONDS = 300; // long videos are only scanned this far in
+const POSTER_SCENE_CUT_SCORE = 0.3;
+
+// Audio Mix Configuration - request-level overrides for the audio mix
+const AUDIO_DEFAULTS = {
+    dialogue_volume: 1.0,
+    music_volume: 0.3,
+    source_volume: 1.0,
+    music_fade_in: 0,
+    music_fade_out: 0,
+    loudness_target: -16, // LUFS; null disables loudness normalization
+    duck_music: true,
+    music_loop: true,
+    keep_source_audio: false
+};
+const AUDIO_LIMITS = {
+    dialogue_volume: [0, 4],
+    music_volume: [0, 4],
+    source_volume: [0, 4],
+    music_fade_in: [0, 30],
+    music_fade_out: [0, 30],
+    loudness_target: [-40, -5]
+};
+
+// Remote Asset Fetching - SSRF and resource limits for asset URLs
+// Host lists are comma-separated; an entry also matches its subdomains
+const parseHostList = (value) => (value || "").split(",").map(host => host.trim().toLowerCase()).filter(Boolean);
+const FETCH_ALLOWED_HOSTS = parseHostList(process.env.FETCH_ALLOWED_HOSTS); // empty = any public host
+const FETCH_DENIED_HOSTS = parseHostList(process.env.FETCH_DENIED_HOSTS);
+const FETCH_ALLOW_PRIVATE_NETWORKS = process.env.FETCH_ALLOW_PRIVATE_NETWORKS === "true"; // local development only
+const FETCH_MAX_BYTES = {
+    video: parseInt(process.env.FETCH_MAX_VIDEO_BYTES, 10) || 500 * 1024 * 1024,
+    audio: parseInt(process.env.FETCH_MAX_AUDIO_BYTES, 10) || 100 * 1024 * 1024,
+    image: parseInt(process.env.FETCH_MAX_IMAGE_BYTES, 10) || 25 * 1024 * 1024
+};
+const FETCH_CONNECT_TIMEOUT_MS = parseInt(process.env.FETCH_CONNECT_TIMEOUT_MS, 10) || 10000;
+const FETCH_READ_TIMEOUT_MS = parseInt(process.env.FETCH_READ_TIMEOUT_MS, 10) || 30000;
+const FETCH_MAX_REDIRECTS = parseInt(process.env.FETCH_MAX_REDIRECTS || "3", 10);
+
+// Storage Configuration - where finished outputs live and for how long
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "local"; // "local" or "s3"
+const OUTPUT_TTL_SECONDS = parseInt(process.env.OUTPUT_TTL_SECONDS, 10) || 24 * 3600;
+const DOWNLOAD_LINK_TTL_SECONDS = parseInt(process.env.DOWNLOAD_LINK_TTL_SECONDS, 10) || 3600;
+const STORAGE_SWEEP_INTERVAL_MS = parseInt(process.env.STORAGE_SWEEP_INTERVAL_MS, 10) || 10 * 60 * 1000;
+const TEMP_FILE_MAX_AGE_MS = 6 * 3600 * 1000; // temp files this old belong to a crashed job
+// Without a configured secret, links are signed with a per-process key and stop working on restart
+const DOWNLOAD_SIGNING_SECRET = process.env.DOWNLOAD_SIGNING_SECRET || crypto.randomBytes(32).toString("hex");
+// S3-compatible backend (AWS S3, MinIO, ...)
+const S3_ENDPOINT = process.env.S3_ENDPOINT || "https://s3.amazonaws.com";
+const S3_REGION = process.env.S3_REGION || "us-east-1";
+const S3_BUCKET = process.env.S3_BUCKET || "";
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || "";
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || "";
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE !== "false"; // MinIO needs path-style URLs
+
+// Render Cache - downloads (revalidated with ETag/Last-Modified) and finished outputs, keyed by content hash
+const CACHE_DIR = process.env.CACHE_DIR || path.join(TEMP_DIR, "cache");
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || String(2 * 1024 * 1024 * 1024), 10); // 0 disables the cache
+const RENDER_CACHE_VERSION = 1; // bump when a rendering change should invalidate cached outputs
+
+// API Key Configuration - keys come from API_KEYS_FILE or API_KEYS (see loadApiKeys)
+const API_KEY_HEADER = "x-api-key";
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true"; // local development only
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.DEFAULT_RATE_LIMIT_PER_MINUTE, 10) || 30;
+const DEFAULT_MAX_CONCURRENT_JOBS = parseInt(process.env.DEFAULT_MAX_CONCURRENT_JOBS, 10) || 2;
+
+// Job Queue Configuration
+const JOBS_DIR = process.env.JOBS_DIR || path.join(TEMP_DIR, "jobs");
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+const JOB_EVENTS_HEARTBEAT_MS = 15000; // keeps idle progress streams open through proxies
+const JOB_TIMEOUT_SECONDS = parseInt(process.env.JOB_TIMEOUT_SECONDS || "1800", 10); // wall-clock limit per run, 0 = none
+const JOB_RETENTION_SECONDS = parseInt(process.env.JOB_RETENTION_SECONDS, 10) || 7 * 24 * 3600; // finished records, from their last update
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+const BATCH_ITEM_FIELDS = ['meme_top_text', 'meme_bottom_text', 'meme_language', 'meme_project_name'];
+
+// Webhook Configuration - callback_url needs WEBHOOK_SECRET. Every attempt is signed with HMAC-SHA256 of
+// `${timestamp}.${body}`, the Unix timestamp sent in X-Signature-Timestamp; receivers should refuse
+// timestamps more than 5 minutes from their own clock, so a captured callback can't be replayed later
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -118,34 +381,86 @@ function getFontForText(text, providedLanguage = null) {
     return fontPath;
 }
 
+/**
+ * Reads numeric request options on top of defaults, checking each against its [min, max] range
+ * Returns { values } on success or { error } with a message for a 400 response
+ */
+function readNumericOptions(input, defaults, limits, label = '') {
+    const values = { ...defaults };
+    for (const [key, [min, max]] of Object.entries(limits)) {
+        const value = input ? input[key] : undefined;
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'number' || value < min || value > max) {
+            return { error: `${label}${key} must be a number between ${min} and ${max}` };
+        }
+        values[key] = value;
+    }
+    return { values };
+}
+
 async function ensureDirectories() {
     await fsp.mkdir(OUTPUT_DIR, { recursive: true });
+    await fsp.mkdir(JOBS_DIR, { recursive: true });
     console.log('📁 Directories ensured');
 }
 
-async function downloadFile(url, filepath) {
-    console.log(`⬇️  Downloading: ${url}`);
-    const response = await axios({ method: "GET", url, responseType: "stream" });
-    const writer = fs.createWriteStream(filepath);
-    response.data.pipe(writer);
+/**
+ * Creates a fluent-ffmpeg command the running job (or preview) can kill when it is cancelled or times out
+ * Outside a job context it's a plain command
+ */
+function ffmpegCommand(input) {
+    const command = input === undefined ? ffmpeg() : ffmpeg(input);
+    const context = jobContext.getStore();
+    if (context) {
+        context.commands.add(command);
+        const forget = () => context.commands.delete(command);
+        command
+            .on('start', () => {
+                // Created before the cancel arrived but only started now
+                if (context.cancelled) command.kill('SIGKILL');
+            })
+            .on('end', forget)
+            .on('error', forget);
+    }
+    return command;
+}
+
+async function hashFile(filepath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filepath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+async function getAudioDuration(filepath) {
     return new Promise((resolve, reject) => {
-        writer.on("finish", () => {
-            console.log(`✅ Downloaded: ${filepath}`);
-            resolve();
+        ffmpeg.ffprobe(filepath, (err, metadata) => {
+            if (err) reject(err);
+            else resolve(metadata.format.duration);
         });
-        writer.on("error", reject);
     });
 }
 
-async function getAudioDuration(filepath) {
+async function hasAudioStream(filepath) {
     return new Promise((resolve, reject) => {
         ffmpeg.ffprobe(filepath, (err, metadata) => {
             if (err) reject(err);
-            else resolve(metadata.format.duration);
+            else resolve(metadata.streams.some(s => s.codec_type === 'audio'));
         });
     });
 }
 
+/**
+ * Percent done from a fluent-ffmpeg progress event, against the length the output will have
+ * (fluent's own percent goes by the first input's length - wrong for trimmed, stitched or looped-image output)
+ */
+function progressPercent(progress, duration) {
+    const [hours, minutes, seconds] = String(progress.timemark || '0:0:0').split(':').map(Number);
+    const elapsed = (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+    return duration > 0 ? Math.min(100, elapsed / duration * 100) : null;
+}
+
 async function getVideoDimensions(filepath) {
     return new Promise((resolve, reject) => {
         ffmpeg.ffprobe(filepath, (err, metadata) => {
@@ -184,738 +499,5403 @@ async function getImageDimensions(filepath) {
     });
 }
 
+// ==================== REMOTE ASSETS ====================
+
+// Private, loopback, link-local and otherwise non-public ranges remote assets may not resolve to
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// 64:ff9b:1::/48 is local-use NAT64, translating to whatever the operator chose
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
 /**
- * Wraps text by inserting newlines to prevent excessive width
- * Handles both Latin and CJK characters appropriately
+ * Creates an Error carrying the HTTP status the failure should be reported with
  */
-function wrapText(text, maxCharsPerLine = 30) {
-    if (!text) return '';
-    
-    // Check if text contains significant CJK characters
-    const cjkCount = (text.match(/[\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF\uAC00-\uD7AF]/g) || []).length;
-    const hasCJK = cjkCount > text.length * 0.3;
-    
-    if (hasCJK) {
-        // For CJK text, wrap at character boundaries (CJK chars are wider)
-        const adjustedMax = Math.floor(maxCharsPerLine * 0.6); // CJK chars are ~2x wider
-        let result = '';
-        let currentLength = 0;
-        
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const isCJK = /[\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF\uAC00-\uD7AF]/.test(char);
-            const charWidth = isCJK ? 2 : 1;
-            
-            if (currentLength + charWidth > adjustedMax && currentLength > 0) {
-                result += '\n';
-                currentLength = 0;
-            }
-            
-            result += char;
-            currentLength += charWidth;
-        }
-        
-        return result.trim();
-    } else {
-        // For Latin text, wrap at word boundaries
-        const words = text.split(' ');
-        let wrappedText = '';
-        let currentLineLength = 0;
-
-        for (const word of words) {
-            if (currentLineLength + word.length + 1 > maxCharsPerLine && currentLineLength > 0) {
-                wrappedText += '\n' + word + ' ';
-                currentLineLength = word.length + 1;
-            } else {
-                wrappedText += word + ' ';
-                currentLineLength += word.length + 1;
-            }
-        }
-        
-        return wrappedText.trim();
-    }
+function fetchError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
 }
 
 /**
- * Escapes text for FFmpeg drawtext filter
- * Handles special characters, emojis, and Unicode safely
+ * Expands an IPv6 address into its eight 16-bit groups (handles :: and a dotted IPv4 tail)
  */
-function escapeForDrawtext(text) {
-    if (!text) return '';
-    
-    // First pass: handle basic escaping
-    let escaped = text;
-    
-    // Escape backslashes first (before other escapes that introduce backslashes)
-    escaped = escaped.replace(/\\/g, '\\\\\\\\');
-    
-    // Escape single quotes for FFmpeg shell
-    escaped = escaped.replace(/'/g, "'\\\\\\\\''");
-    
-    // Escape colons (FFmpeg parameter separator)
-    escaped = escaped.replace(/:/g, '\\\\:');
-    
-    // Escape special FFmpeg characters
-    escaped = escaped.replace(/\[/g, '\\\\[');
-    escaped = escaped.replace(/\]/g, '\\\\]');
-    escaped = escaped.replace(/,/g, '\\\\,');
-    escaped = escaped.replace(/;/g, '\\\\;');
-    
-    // Handle newlines last - convert to FFmpeg newline sequence
-    escaped = escaped.replace(/\n/g, '\\n');
-    
-    return escaped;
+function ipv6Groups(address) {
+    let text = address.split('%')[0];
+    const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(2).map(Number);
+        text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+    return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
 }
 
 /**
- * Adds only the top and bottom meme text to video (no overlay, no branding)
- * Used for the "without overlay" version
+ * Returns the IPv4 address a NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address routes to, or null
  */
-async function addMemeTextOnly(videoPath, outputPath, topText = "", bottomText = "", memeLanguage = null) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            console.log('🎨 addMemeTextOnly function called (no overlay/branding)');
-            
-            if (!topText && !bottomText) {
-                console.log('⚠️  No meme text provided - copying video as-is');
-                await fsp.copyFile(videoPath, outputPath);
-                return resolve(outputPath);
-            }
-
-            const { width, height } = await getVideoDimensions(videoPath);
-            console.log(`📐 Video dimensions: ${width}x${height}`);
-
-            const wrappedTopText = wrapText(topText, 45);
-            const wrappedBottomText = wrapText(bottomText, 45);
-            
-            const topLines = wrappedTopText.split('\n').filter(line => line.trim());
-            const bottomLines = wrappedBottomText.split('\n').filter(line => line.trim());
-            const maxLines = Math.max(topLines.length, bottomLines.length, 1);
-            
-            const baseDivisor = 12;
-            const verticalCompressionFactor = 2;
-            const dynamicDivisor = baseDivisor + ((maxLines - 1) * verticalCompressionFactor);
-            
-            const fontSize = Math.floor(height / dynamicDivisor);
-            const strokeWidth = Math.max(2, Math.floor(fontSize / 10));
-            const lineHeight = fontSize + 5;
-            const verticalOffset = 20;
-            
-            console.log(`🔤 Font size: ${fontSize}, Stroke: ${strokeWidth}, Line height: ${lineHeight}`);
-
-            // Select font based on language
-            let selectedFont;
-            if (memeLanguage && FONTS[memeLanguage.toLowerCase()]) {
-                selectedFont = FONTS[memeLanguage.toLowerCase()];
-                console.log(`🔤 Using provided language font: ${memeLanguage}`);
-            } else {
-                const textToDetect = topText || bottomText || '';
-                selectedFont = textToDetect ? getFontForText(textToDetect, null) : FONTS.english;
-                console.log(`🔤 Auto-detecting font from text content`);
-            }
-            
-            const escapedFont = selectedFont.replace(/:/g, '\\:');
-
-            // Build filter complex
-            let filterParts = [];
-            let currentVideoLabel = '0:v';
-            let labelCounter = 1;
-
-            // Add TOP text
-            if (topText) {
-                for (let index = 0; index < topLines.length; index++) {
-                    const line = topLines[index];
-                    const escapedLine = escapeForDrawtext(line);
-                    const yPos = verticalOffset + (index * lineHeight);
-                    const nextLabel = `v${labelCounter}`;
-                    
-                    filterParts.push(
-                        `[${currentVideoLabel}]drawtext=fontfile='${escapedFont}':` +
-                        `text='${escapedLine}':` +
-                        `fontcolor=white:` +
-                        `fontsize=${fontSize}:` +
-                        `bordercolor=black:` +
-                        `borderw=${strokeWidth}:` +
-                        `shadowcolor=black@0.5:` +
-                        `shadowx=2:` +
-                        `shadowy=2:` +
-                        `x=(w-text_w)/2:` +
-                        `y=${yPos}[${nextLabel}]`
-                    );
-                    
-                    currentVideoLabel = nextLabel;
-                    labelCounter++;
-                }
-            }
+function embeddedIpv4(address) {
+    const groups = ipv6Groups(address);
+    const toIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return toIpv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return toIpv4(groups[1], groups[2]);
+    }
+    return null;
+}
 
-            // Add BOTTOM text
-            if (bottomText) {
-                for (let index = 0; index < bottomLines.length; index++) {
-                    const line = bottomLines[index];
-                    const escapedLine = escapeForDrawtext(line);
-                    const yPos = height - verticalOffset - ((bottomLines.length - index) * lineHeight);
-                    const nextLabel = `v${labelCounter}`;
-                    
-                    filterParts.push(
-                        `[${currentVideoLabel}]drawtext=fontfile='${escapedFont}':` +
-                        `text='${escapedLine}':` +
-                        `fontcolor=white:` +
-                        `fontsize=${fontSize}:` +
-                        `bordercolor=black:` +
-                        `borderw=${strokeWidth}:` +
-                        `shadowcolor=black@0.5:` +
-                        `shadowx=2:` +
-                        `shadowy=2:` +
-                        `x=(w-text_w)/2:` +
-                        `y=${yPos}[${nextLabel}]`
-                    );
-                    
-                    currentVideoLabel = nextLabel;
-                    labelCounter++;
-                }
-            }
+// BlockList also matches IPv4-mapped IPv6 (::ffff:127.0.0.1) against the IPv4 ranges;
+// NAT64 and 6to4 addresses are judged by the IPv4 address they embed
+function isPrivateAddress(address) {
+    if (net.isIP(address) !== 6) {
+        return PRIVATE_ADDRESSES.check(address, 'ipv4');
+    }
+    const ipv4 = embeddedIpv4(address);
+    return PRIVATE_ADDRESSES.check(address, 'ipv6') || (ipv4 !== null && PRIVATE_ADDRESSES.check(ipv4, 'ipv4'));
+}
 
-            const filterComplex = filterParts.join(';');
-            console.log(`🎬 Filter complex parts: ${filterParts.length}`);
+function hostMatches(hostname, patterns) {
+    return patterns.some(pattern => hostname === pattern || hostname.endsWith(`.${pattern}`));
+}
 
-            ffmpeg(videoPath)
-                .complexFilter(filterComplex)
-                .outputOptions([
-                    '-map', `[${currentVideoLabel}]`,
-                    '-c:v', 'libx264',
-                    '-preset', 'fast',
-                    '-crf', '18',
-                    '-c:a', 'copy'
-                ])
-                .output(outputPath)
-                .on('start', (cmd) => {
-                    console.log('🚀 FFmpeg started (text only)');
-                })
-                .on('stderr', (stderrLine) => {
-                    if (stderrLine.includes('Error') || stderrLine.includes('Invalid')) {
-                        console.error('FFmpeg stderr:', stderrLine);
-                    }
-                })
-                .on('progress', (progress) => {
-                    if (progress.percent) {
-                        console.log(`⏳ Progress: ${progress.percent.toFixed(1)}%`);
-                    }
-                })
-                .on('end', () => {
-                    console.log('✅ Meme text added successfully (no overlay)');
-                    resolve(outputPath);
-                })
-                .on('error', (err) => {
-                    console.error('❌ FFmpeg error:', err.message);
-                    reject(err);
-                })
-                .run();
+/**
+ * Applies the host allow/deny lists, and blocks IP-literal hosts in private ranges
+ * (named hosts are checked after DNS resolution, see safeLookup)
+ */
+function checkFetchHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (hostMatches(host, FETCH_DENIED_HOSTS)) {
+        throw fetchError(`Host not allowed: ${host}`, 403);
+    }
+    if (FETCH_ALLOWED_HOSTS.length > 0 && !hostMatches(host, FETCH_ALLOWED_HOSTS)) {
+        throw fetchError(`Host not in allowlist: ${host}`, 403);
+    }
+    if (!FETCH_ALLOW_PRIVATE_NETWORKS && net.isIP(host) && isPrivateAddress(host)) {
+        throw fetchError(`Private or loopback address not allowed: ${host}`, 403);
+    }
+}
 
-        } catch (err) {
-            console.error('❌ Error in addMemeTextOnly:', err);
-            reject(err);
+/**
+ * dns.lookup replacement for the fetcher: refuses private addresses at connect time, so a
+ * host can't pass validation and then re-resolve somewhere internal (DNS rebinding)
+ */
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked && !FETCH_ALLOW_PRIVATE_NETWORKS) {
+            return callback(fetchError(`${hostname} resolves to a private address (${blocked.address})`, 403));
         }
+        callback(null, address, family);
     });
 }
 
-async function addMemeText(videoPath, outputPath, topText = "", bottomText = "", projectName = "", memeLanguage = null) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            console.log('🎨 addMemeText function called');
-            
-            const needsMemeText = (topText || bottomText);
-            if (!needsMemeText) {
-                console.log('⚠️  No meme text provided - adding only branding');
-            }
+/**
+ * Validates a remote asset URL when the request comes in, so bad URLs get a 4xx straight away
+ * @throws {Error} with statusCode 400/403
+ */
+async function checkAssetUrl(url, field) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw fetchError(`${field} is not a valid URL`, 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw fetchError(`${field} must be an http(s) URL`, 400);
+    }
 
-            const { width, height } = await getVideoDimensions(videoPath);
-            console.log(`📐 Video dimensions: ${width}x${height}`);
-
-            const wrappedTopText = wrapText(topText, 45);
-            const wrappedBottomText = wrapText(bottomText, 45);
-            
-            const topLines = wrappedTopText.split('\n').filter(line => line.trim());
-            const bottomLines = wrappedBottomText.split('\n').filter(line => line.trim());
-            const maxLines = needsMemeText ? Math.max(topLines.length, bottomLines.length, 1) : 1;
-            
-            const baseDivisor = 12;
-            const verticalCompressionFactor = 2;
-            const dynamicDivisor = baseDivisor + ((maxLines - 1) * verticalCompressionFactor);
-            
-            const fontSize = Math.floor(height / dynamicDivisor);
-            const strokeWidth = Math.max(2, Math.floor(fontSize / 10));
-            const lineHeight = fontSize + 5;
-            const verticalOffset = 20;
-            
-            // Black bar configuration (to avoid overlap)
-            const estimatedBlackBarHeight = 100; // Height of the black bar at bottom
-
-            console.log(`🔤 Font size: ${fontSize}, Stroke: ${strokeWidth}, Line height: ${lineHeight}`);
-
-            // Use the same font for ALL text (top, bottom, and branding) based on language parameter
-            // If language is provided, use that font for everything
-            // Otherwise, auto-detect from the text content
-            let selectedFont;
-            if (memeLanguage && FONTS[memeLanguage.toLowerCase()]) {
-                selectedFont = FONTS[memeLanguage.toLowerCase()];
-                console.log(`🔤 Using provided language font for all text: ${memeLanguage}`);
-            } else {
-                // Auto-detect from text content (fallback)
-                const textToDetect = topText || bottomText || '';
-                selectedFont = textToDetect ? getFontForText(textToDetect, null) : FONTS.english;
-                console.log(`🔤 Auto-detecting font from text content`);
-            }
-            
-            const escapedFont = selectedFont.replace(/:/g, '\\:');
-
-            // Check if overlay image exists
-            console.log(`🔍 Checking for overlay image at: ${OVERLAY_IMAGE_PATH}`);
-            const hasOverlay = fs.existsSync(OVERLAY_IMAGE_PATH);
-            console.log(`📁 Overlay image exists: ${hasOverlay}`);
-            
-            if (!hasOverlay) {
-                console.error('❌ Overlay image not found! Cannot proceed.');
-                return reject(new Error(`Overlay image not found at ${OVERLAY_IMAGE_PATH}`));
-            }
+    checkFetchHost(parsed.hostname);
+    if (!net.isIP(parsed.hostname.replace(/^\[|\]$/g, ''))) {
+        await new Promise((resolve, reject) => {
+            safeLookup(parsed.hostname, { all: true }, (err) => {
+                if (!err) return resolve();
+                reject(err.statusCode ? err : fetchError(`${field}: could not resolve ${parsed.hostname}`, 400));
+            });
+        });
+    }
+}
 
-            const overlayDimensions = await getImageDimensions(OVERLAY_IMAGE_PATH);
-            console.log(`📐 Overlay image dimensions: ${overlayDimensions.width}x${overlayDimensions.height}`);
-            
-            // Use overlay at native size (no scaling needed for 1280x720)
-            const overlayWidth = overlayDimensions.width;
-            const overlayHeight = overlayDimensions.height;
-            
-            // Position at bottom of video (centered horizontally, at bottom vertically)
-            const overlayX = Math.floor((width - overlayWidth) / 2); // Center horizontally
-            const overlayY = height - overlayHeight; // Bottom of video
-            console.log(`📍 Overlay position: x=${overlayX}, y=${overlayY} (full frame overlay)`);
-            
-            console.log(`📝 Project name for branding: ${projectName}`);
-
-            // Build filter complex step by step
-            let filterParts = [];
-            
-            // Step 1: Load overlay image as a separate input
-            filterParts.push(`movie='${OVERLAY_IMAGE_PATH.replace(/'/g, "'\\\\''").replace(/:/g, '\\:')}'[overlay]`);
-            
-            // Step 2: Overlay the image on the video
-            filterParts.push(`[0:v][overlay]overlay=${overlayX}:${overlayY}[v1]`);
-            
-            let currentVideoLabel = 'v1';
-            let labelCounter = 2;
-
-            // Only add meme text if provided
-            if (needsMemeText) {
-                // Add TOP text
-                if (topText) {
-                    for (let index = 0; index < topLines.length; index++) {
-                        const line = topLines[index];
-                        const escapedLine = escapeForDrawtext(line);
-                        const yPos = verticalOffset + (index * lineHeight);
-                        const nextLabel = `v${labelCounter}`;
-                        
-                        filterParts.push(
-                            `[${currentVideoLabel}]drawtext=fontfile='${escapedFont}':` +
-                            `text='${escapedLine}':` +
-                            `fontcolor=white:` +
-                            `fontsize=${fontSize}:` +
-                            `bordercolor=black:` +
-                            `borderw=${strokeWidth}:` +
-                            `shadowcolor=black@0.5:` +
-                            `shadowx=2:` +
-                            `shadowy=2:` +
-                            `x=(w-text_w)/2:` +
-                            `y=${yPos}[${nextLabel}]`
-                        );
-                        
-                        currentVideoLabel = nextLabel;
-                        labelCounter++;
-                    }
-                }
+/**
+ * Checks a downloaded (or uploaded) file really is media of the expected kind
+ * @param {string} kind - 'video', 'audio' or 'image'
+ * @throws {Error} with statusCode 422
+ */
+async function checkMediaFile(filepath, kind, label) {
+    const metadata = await new Promise((resolve) => {
+        ffmpeg.ffprobe(filepath, (err, result) => resolve(err ? null : result));
+    });
+    const streamType = kind === 'audio' ? 'audio' : 'video';
+    const stream = metadata && metadata.streams.find(s => s.codec_type === streamType);
+    // Video and audio need a duration too - a single JPEG probes as a one-frame "video"
+    const playable = kind === 'image' || (metadata && metadata.format.duration > 0);
+    if (!stream || !playable) {
+        throw fetchError(`${label} is not a valid ${kind} file`, 422);
+    }
+}
 
-                // Add BOTTOM text - position above the black bar
-                if (bottomText) {
-                    const totalBottomHeight = bottomLines.length * lineHeight;
-                    const bottomOffset = estimatedBlackBarHeight; // Position above the black bar
-                    
-                    for (let index = 0; index < bottomLines.length; index++) {
-                        const line = bottomLines[index];
-                        const escapedLine = escapeForDrawtext(line);
-                        const yPos = height - totalBottomHeight - bottomOffset + (index * lineHeight);
-                        const nextLabel = `v${labelCounter}`;
-                        
-                        filterParts.push(
-                            `[${currentVideoLabel}]drawtext=fontfile='${escapedFont}':` +
-                            `text='${escapedLine}':` +
-                            `fontcolor=white:` +
-                            `fontsize=${fontSize}:` +
-                            `bordercolor=black:` +
-                            `borderw=${strokeWidth}:` +
-                            `shadowcolor=black@0.5:` +
-                            `shadowx=2:` +
-                            `shadowy=2:` +
-                            `x=(w-text_w)/2:` +
-                            `y=${yPos}[${nextLabel}]`
-                        );
-                        
-                        currentVideoLabel = nextLabel;
-                        labelCounter++;
-                    }
-                }
-            }
+/**
+ * Downloads a remote asset with the SSRF and resource protections applied:
+ * host allow/deny lists, private address blocking (including after redirects), status and
+ * content-type checks, a byte limit enforced while streaming, connect/read timeouts and an
+ * ffprobe check of the result.
+ * A copy from the render cache is revalidated with If-None-Match/If-Modified-Since and reused on a 304.
+ * @param {string} kind - 'video', 'audio' or 'image' (selects the size limit and probe check)
+ * @returns {object} { sha256 } of the file content
+ * @throws {Error} with statusCode (4xx for bad assets, 502/504 for unreachable hosts)
+ */
+async function downloadFile(url, filepath, kind = 'video') {
+    const controller = new AbortController();
 
-            // Add luna.fun branding at bottom-left corner
-            const brandingText = projectName ? `luna.fun/memes/${projectName}` : "luna.fun/memes";
-            const escapedBrandingText = escapeForDrawtext(brandingText);
-            const brandingFontSize = 18; // Smaller, fixed size
-            const brandingStrokeWidth = 1;
-            const brandingX = 20; // 20px from left edge
-            const brandingY = height - brandingFontSize - 20; // 20px from actual bottom
-            
-            const nextLabel = `vout`;
-            
-            filterParts.push(
-                `[${currentVideoLabel}]drawtext=fontfile='${escapedFont}':` +
-                `text='${escapedBrandingText}':` +
-                `fontcolor=white:` +
-                `fontsize=${brandingFontSize}:` +
-                `bordercolor=black:` +
-                `borderw=${brandingStrokeWidth}:` +
-                `shadowcolor=black@0.5:` +
-                `shadowx=2:` +
-                `shadowy=2:` +
-                `x=${brandingX}:` +
-                `y=${brandingY}[${nextLabel}]`
-            );
-            
-            currentVideoLabel = nextLabel;
-
-            // Join all filter parts with semicolons
-            const filterComplex = filterParts.join(';');
-
-            console.log(`🎬 Filter complex parts: ${filterParts.length}`);
-            console.log(`🎬 Filter complex preview: ${filterComplex.substring(0, 300)}...`);
-            
-            // Log the escaped text for debugging
-            if (topText) console.log(`📝 Top text lines: ${topLines.length}`);
-            if (bottomText) console.log(`📝 Bottom text lines: ${bottomLines.length}`);
-
-            ffmpeg(videoPath)
-                .complexFilter(filterComplex)
-                .outputOptions([
-                    '-map', `[${currentVideoLabel}]`,  // Map the final video output
-                    '-c:v', 'libx264',
-                    '-preset', 'fast',
-                    '-crf', '18',
-                    '-c:a', 'copy'
-                ])
-                .output(outputPath)
-                .on('start', (cmd) => {
-                    console.log('🚀 FFmpeg started');
-                    console.log('Full command:', cmd);
-                })
-                .on('stderr', (stderrLine) => {
-                    // Log FFmpeg errors for debugging
-                    if (stderrLine.includes('Error') || stderrLine.includes('Invalid')) {
-                        console.error('FFmpeg stderr:', stderrLine);
-                    }
-                })
-                .on('progress', (progress) => {
-                    if (progress.percent) {
-                        console.log(`⏳ Progress: ${progress.percent.toFixed(1)}%`);
-                    }
-                })
-                .on('end', () => {
-                    console.log('✅ Meme text and branding added successfully');
-                    resolve(outputPath);
-                })
-                .on('error', (err) => {
-                    console.error('❌ FFmpeg error:', err.message);
-                    reject(err);
-                })
-                .run();
+    // Stopping the job (cancel or timeout) aborts the download too - the listener goes once it settles,
+    // so a job fetching many assets doesn't pile them up on its signal
+    const context = jobContext.getStore();
+    const abortDownload = () => controller.abort();
+    if (context) {
+        if (context.cancelled) controller.abort();
+        context.controller.signal.addEventListener('abort', abortDownload, { once: true });
+    }
 
-        } catch (err) {
-            console.error('❌ Error in addMemeText:', err);
-            reject(err);
-        }
-    });
+    try {
+        return await fetchAsset(url, filepath, kind, controller);
+    } finally {
+        if (context) context.controller.signal.removeEventListener('abort', abortDownload);
+    }
 }
 
-async function mixVideo(videoPath, audioPath, musicPath, outputPath) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            console.log('🎵 mixVideo function called');
-            
-            const hasAudio = !!audioPath;
-            const hasMusic = !!musicPath;
-
-            if (!hasAudio && !hasMusic) {
-                console.log('⚠️  No audio or music provided - copying video as-is');
-                await fsp.copyFile(videoPath, outputPath);
-                return resolve(outputPath);
-            }
-
-            const videoDuration = await getVideoDimensions(videoPath).then(() => 
-                new Promise((res, rej) => {
-                    ffmpeg.ffprobe(videoPath, (err, metadata) => {
-                        if (err) rej(err);
-                        else res(metadata.format.duration);
-                    });
-                })
-            );
+/**
+ * The download itself (see downloadFile) - `controller` aborts it
+ */
+async function fetchAsset(url, filepath, kind, controller) {
+    console.log(`⬇️  Downloading: ${url}`);
+    const maxBytes = FETCH_MAX_BYTES[kind];
+    let timer = null;
+    let timedOut = null;
+    const armTimeout = (phase, ms) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = phase;
+            controller.abort();
+        }, ms);
+    };
 
-            console.log(`📏 Video duration: ${videoDuration}s`);
+    checkFetchHost(new URL(url).hostname);
 
-            let inputs = [videoPath];
-            let filterInputs = [];
-            let filterComplex = '';
-            let outputMap = '[outv]';
+    const cached = lookupCachedDownload(url, kind);
 
-            if (hasAudio) {
-                inputs.push(audioPath);
-                filterInputs.push('[1:a]');
-            }
+    let response;
+    armTimeout('connect', FETCH_CONNECT_TIMEOUT_MS);
+    try {
+        response = await axios({
+            method: "GET",
+            url,
+            headers: cached ? cachedDownloadValidators(cached) : {},
+            responseType: "stream",
+            signal: controller.signal,
+            maxRedirects: FETCH_MAX_REDIRECTS,
+            lookup: safeLookup,
+            beforeRedirect: (options) => checkFetchHost(options.hostname),
+            validateStatus: () => true
+        });
+    } catch (err) {
+        clearTimeout(timer);
+        const cause = err.cause && err.cause.statusCode ? err.cause : err;
+        if (cause.statusCode) throw cause;
+        if (timedOut) throw fetchError(`Timed out connecting to ${url}`, 504);
+        if (err.code === 'ERR_FR_TOO_MANY_REDIRECTS') throw fetchError(`Too many redirects fetching ${url}`, 422);
+        throw fetchError(`Could not fetch ${url}: ${err.message}`, 502);
+    }
 
-            if (hasMusic) {
-                inputs.push(musicPath);
-                const musicIndex = hasAudio ? 2 : 1;
-                filterInputs.push(`[${musicIndex}:a]`);
-            }
+    const fail = (err) => {
+        clearTimeout(timer);
+        response.data.destroy();
+        throw err;
+    };
+    if (cached && response.status === 304) {
+        clearTimeout(timer);
+        response.data.destroy();
+        if (await restoreCachedDownload(cached, filepath)) {
+            console.log(`♻️  Not modified, using cached copy: ${filepath}`);
+            return { sha256: cached.sha256 };
+        }
+        // The cached copy was evicted under us - fetch it properly
+        return fetchAsset(url, filepath, kind, controller);
+    }
+    if (response.status < 200 || response.status >= 300) {
+        fail(fetchError(`${url} responded with HTTP ${response.status}`, 422));
+    }
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (/^(text\/|application\/(json|xml|xhtml))/.test(contentType)) {
+        fail(fetchError(`${url} returned ${contentType}, not a ${kind} file`, 415));
+    }
+    const declaredLength = parseInt(response.headers['content-length'], 10);
+    if (declaredLength > maxBytes) {
+        fail(fetchError(`${url} is ${declaredLength} bytes, over the ${maxBytes} byte ${kind} limit`, 413));
+    }
 
-            if (filterInputs.length > 0) {
-                if (filterInputs.length === 1) {
-                    // Single audio input - no need for amerge
-                    if (hasMusic) {
-                        // Just apply volume to music
-                        filterComplex = `${filterInputs[0]}volume=0.3[outa]`;
-                    } else {
-                        // Just use the audio as-is
-                        filterComplex = `${filterInputs[0]}acopy[outa]`;
-                    }
-                } else {
-                    // Multiple audio inputs - use amerge
-                    const audioFilters = filterInputs.map((input, idx) => {
-                        if (idx === filterInputs.length - 1 && hasMusic) {
-                            return `${input}volume=0.3`;
-                        }
-                        return input;
-                    }).join('');
-
-                    filterComplex = `${audioFilters}amerge=inputs=${filterInputs.length}[outa]`;
+    // Stream to disk, counting bytes and restarting the read timeout on every chunk
+    armTimeout('read', FETCH_READ_TIMEOUT_MS);
+    let receivedBytes = 0;
+    const hash = crypto.createHash('sha256');
+    try {
+        await new Promise((resolve, reject) => {
+            const writer = fs.createWriteStream(filepath);
+            response.data.on("data", (chunk) => {
+                receivedBytes += chunk.length;
+                if (receivedBytes > maxBytes) {
+                    response.data.destroy(fetchError(`${url} exceeds the ${maxBytes} byte ${kind} limit`, 413));
+                    return;
                 }
-                outputMap = '[outv];[outa]';
-            }
-
-            console.log(`🎬 Filter complex: ${filterComplex}`);
+                hash.update(chunk);
+                armTimeout('read', FETCH_READ_TIMEOUT_MS);
+            });
+            response.data.on("error", (err) => {
+                writer.destroy();
+                reject(err);
+            });
+            writer.on("finish", resolve);
+            writer.on("error", reject);
+            response.data.pipe(writer);
+        });
+    } catch (err) {
+        await fsp.unlink(filepath).catch(() => {});
+        if (err.statusCode) throw err;
+        if (timedOut) throw fetchError(`Timed out reading ${url}`, 504);
+        throw fetchError(`Download of ${url} failed: ${err.message}`, 502);
+    } finally {
+        clearTimeout(timer);
+    }
 
-            const command = ffmpeg();
-            
-            inputs.forEach(input => command.input(input));
+    try {
+        await checkMediaFile(filepath, kind, url);
+    } catch (err) {
+        await fsp.unlink(filepath).catch(() => {});
+        throw err;
+    }
 
-            if (filterComplex) {
-                command.complexFilter(filterComplex);
-            }
+    console.log(`✅ Downloaded: ${filepath} (${receivedBytes} bytes)`);
+    const sha256 = hash.digest('hex');
+    await cacheDownload(url, kind, filepath, sha256, response.headers);
+    return { sha256 };
+}
 
-            command
-                .outputOptions([
-                    '-map', '0:v',
-                    ...(filterComplex ? ['-map', '[outa]'] : ['-map', '0:a?']),
-                    '-c:v', 'copy',
-                    '-c:a', 'aac',
-                    '-b:a', '192k',
-                    '-shortest'
-                ])
-                .output(outputPath)
-                .on('start', (cmd) => console.log('🚀 FFmpeg mixing started:', cmd.substring(0, 300) + '...'))
-                .on('progress', (progress) => {
-                    if (progress.percent) {
-                        console.log(`⏳ Mixing progress: ${progress.percent.toFixed(1)}%`);
-                    }
-                })
-                .on('end', () => {
-                    console.log('✅ Video mixed successfully');
-                    resolve(outputPath);
-                })
-                .on('error', (err) => {
-                    console.error('❌ FFmpeg mixing error:', err.message);
-                    reject(err);
-                })
-                .run();
+/**
+ * Downloads every clip of a `clips` request and resolves its trim against the real clip length
+ * Paths go into tempFiles before each download so the caller can always clean up
+ * @returns {object} { inputs, canvas } for stitchClips - the canvas is the first clip's size
+ */
+async function downloadClips(clips, filePrefix, tempFiles) {
+    const inputs = [];
+    for (const [index, clip] of clips.entries()) {
+        const clipPath = `${filePrefix}_clip${index}.mp4`;
+        tempFiles.push(clipPath);
+        const { sha256 } = await downloadFile(clip.url, clipPath, 'video');
 
-        } catch (err) {
-            console.error('❌ Error in mixVideo:', err);
-            reject(err);
+        const clipDuration = await getAudioDuration(clipPath);
+        const end = clip.out === null ? clipDuration : Math.min(clip.out, clipDuration);
+        if (clip.in >= end) {
+            throw fetchError(`clips[${index}].in (${clip.in}s) is past the end of the clip (${clipDuration.toFixed(2)}s)`, 422);
         }
-    });
+        inputs.push({
+            path: clipPath,
+            start: clip.in,
+            duration: Number((end - clip.in).toFixed(3)),
+            hasAudio: await hasAudioStream(clipPath),
+            transition: clip.transition,
+            transition_duration: clip.transition_duration,
+            sha256
+        });
+    }
+
+    const { width, height } = await getVideoDimensions(inputs[0].path);
+    return { inputs, canvas: { width: Math.round(width / 2) * 2, height: Math.round(height / 2) * 2 } };
 }
 
-// ==================== API ENDPOINTS ====================
+// ==================== TEMPLATES ====================
 
-app.get("/health", (req, res) => {
-    res.json({ status: "healthy", timestamp: new Date().toISOString() });
-});
+/**
+ * Loads a named template from templates/<name>.json
+ * Templates only need to specify what differs from templates/default.json - each
+ * section (overlay, branding, text, safe_zones) is merged over the default one.
+ * Files are read on every call so a new brand can be dropped in without a restart.
+ */
+function loadTemplate(name = null) {
+    const templateName = name || DEFAULT_TEMPLATE;
 
-// Main processing function (used by both endpoints)
-async function processVideoRequest(req, res) {
-    const startTime = Date.now();
-    console.log('\n========================================');
-    console.log('🎬 NEW VIDEO PROCESSING REQUEST');
+    if (!/^[a-z0-9_-]+$/i.test(templateName)) {
+        throw new Error(`Invalid template name: ${templateName}`);
+    }
+
+    const readTemplateFile = (fileName) => {
+        const filePath = path.join(TEMPLATES_DIR, `${fileName}.json`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Unknown template: ${fileName}`);
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    };
+
+    const template = readTemplateFile(DEFAULT_TEMPLATE);
+
+    if (templateName !== DEFAULT_TEMPLATE) {
+        const overrides = readTemplateFile(templateName);
+        for (const [section, value] of Object.entries(overrides)) {
+            const isSection = value && typeof value === 'object' && !Array.isArray(value);
+            template[section] = isSection && template[section] ? { ...template[section], ...value } : value;
+        }
+    }
+
+    validateTemplate(templateName, template);
+    template.name = templateName;
+    return template;
+}
+
+function validateTemplate(templateName, template) {
+    const problems = [];
+
+    if (template.overlay && template.overlay.image) {
+        if (!ANCHORS.includes(template.overlay.anchor)) {
+            problems.push(`overlay.anchor "${template.overlay.anchor}" is not one of ${ANCHORS.join(', ')}`);
+        }
+        if (!fs.existsSync(path.join(__dirname, template.overlay.image))) {
+            problems.push(`overlay.image "${template.overlay.image}" does not exist`);
+        }
+    }
+
+    const branding = template.branding;
+    if (branding) {
+        if (!ANCHORS.includes(branding.anchor)) {
+            problems.push(`branding.anchor "${branding.anchor}" is not one of ${ANCHORS.join(', ')}`);
+        }
+        if (branding.image && !fs.existsSync(path.join(__dirname, branding.image))) {
+            problems.push(`branding.image "${branding.image}" does not exist`);
+        }
+        if (!BRANDING_MOTIONS.includes(branding.motion)) {
+            problems.push(`branding.motion "${branding.motion}" is not one of ${BRANDING_MOTIONS.join(', ')}`);
+        }
+        const numbers = readNumericOptions(branding, {}, BRANDING_LIMITS, 'branding.');
+        if (numbers.error) {
+            problems.push(numbers.error);
+        }
+    }
+
+    const textSettings = readTextStyle(template.text, 'text.');
+    if (textSettings.error) {
+        problems.push(textSettings.error);
+    }
+
+    const fitting = template.text || {};
+    const fractions = ['max_width', 'max_height'].filter(key => !(fitting[key] > 0 && fitting[key] <= 1));
+    if (fractions.length > 0) {
+        problems.push(`text.${fractions.join(', text.')} must be a fraction of the canvas between 0 and 1`);
+    }
+    if (!(Number.isInteger(fitting.max_lines) && fitting.max_lines >= 1)) {
+        problems.push('text.max_lines must be a whole number of at least 1');
+    }
+    if (!(fitting.min_font_size > 0 && fitting.max_font_size >= fitting.min_font_size)) {
+        problems.push('text.min_font_size and text.max_font_size must be positive with min <= max');
+    }
+
+    const brandingFamily = branding && branding.font_family;
+    if (brandingFamily && !FONT_FAMILIES[brandingFamily]) {
+        problems.push(`branding.font_family "${brandingFamily}" is not one of ${Object.keys(FONT_FAMILIES).join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Template "${templateName}" is invalid: ${problems.join('; ')}`);
+    }
+}
+
+/**
+ * Validates the styling settings of a meme text block - a template's text section, or a request's
+ * meme_top_style / meme_bottom_style (which may only set these keys)
+ * Returns { values } with only the keys that are set, or { error } with a message
+ */
+function readTextStyle(input, label = '') {
+    const numbers = readNumericOptions(input, {}, TEXT_STYLE_LIMITS, label);
+    if (numbers.error) return numbers;
+    const values = numbers.values;
+    const style = input || {};
+
+    if (style.font_family !== undefined && style.font_family !== null) {
+        if (!FONT_FAMILIES[style.font_family]) {
+            return { error: `${label}font_family must be one of: ${Object.keys(FONT_FAMILIES).join(', ')}` };
+        }
+        values.font_family = style.font_family;
+    }
+    for (const key of TEXT_STYLE_COLORS) {
+        if (style[key] === undefined) continue;
+        // Only the background can be switched off
+        if (!readColor(style[key]) && !(key === 'background_color' && style[key] === null)) {
+            return { error: `${label}${key} must be a color name or hex color, with an optional @opacity (e.g. "black@0.5")` };
+        }
+        values[key] = style[key];
+    }
+    if (style.gradient !== undefined && style.gradient !== null) {
+        if (!Array.isArray(style.gradient) || style.gradient.length < 2 || !style.gradient.every(readColor)) {
+            return { error: `${label}gradient must be an array of at least 2 colors, top to bottom` };
+        }
+        values.gradient = style.gradient;
+    }
+    if (style.align !== undefined) {
+        if (!TEXT_ALIGNMENTS.includes(style.align)) {
+            return { error: `${label}align must be one of: ${TEXT_ALIGNMENTS.join(', ')}` };
+        }
+        values.align = style.align;
+    }
+    if (style.uppercase !== undefined) {
+        if (typeof style.uppercase !== 'boolean') {
+            return { error: `${label}uppercase must be true or false` };
+        }
+        values.uppercase = style.uppercase;
+    }
+    return { values };
+}
+
+/**
+ * The style of each meme text block: the template's text section with the request's per-block
+ * overrides on top
+ * @param {object} overrides - { top, bottom } from meme_top_style / meme_bottom_style (either may be null)
+ */
+function resolveTextStyles(template, overrides = null) {
+    const { top, bottom } = overrides || {};
+    return {
+        top: { ...template.text, ...top },
+        bottom: { ...template.text, ...bottom }
+    };
+}
+
+/**
+ * Converts an anchor name into x/y expressions
+ * @param {string} anchor - One of ANCHORS, e.g. 'bottom-left'
+ * @param {object} vars - Canvas and item size (numbers or expression names): { W, H, w, h }
+ */
+function anchorPosition(anchor, marginX, marginY, vars) {
+    const [vertical, horizontal] = anchor === 'center' ? ['center', 'center'] : anchor.split('-');
+
+    let x = `(${vars.W}-${vars.w})/2+${marginX}`;
+    if (horizontal === 'left') x = `${marginX}`;
+    if (horizontal === 'right') x = `${vars.W}-${vars.w}-${marginX}`;
+
+    let y = `(${vars.H}-${vars.h})/2+${marginY}`;
+    if (vertical === 'top') y = `${marginY}`;
+    if (vertical === 'bottom') y = `${vars.H}-${vars.h}-${marginY}`;
+
+    return { x, y };
+}
+
+/**
+ * Converts an anchor name into an ASS numpad alignment and the \pos point it anchors to
+ * Text size isn't known up front, so libass does the aligning instead of an x/y expression.
+ */
+function anchorAlignment(anchor, marginX, marginY, width, height) {
+    const [vertical, horizontal] = anchor === 'center' ? ['center', 'center'] : anchor.split('-');
+    const column = { left: 0, center: 1, right: 2 }[horizontal];
+    const row = { bottom: 0, center: 1, top: 2 }[vertical];
+
+    return {
+        alignment: row * 3 + column + 1,
+        x: [marginX, width / 2 + marginX, width - marginX][column],
+        y: [height - marginY, height / 2 + marginY, marginY][row]
+    };
+}
+
+/**
+ * Picks the font for meme text: the language font, or the template's font family for Latin text
+ * Brand fonts rarely have CJK glyphs, so CJK text always keeps its language font.
+ */
+function selectMemeFont(topText, bottomText, memeLanguage, fontFamily = null) {
+    let selectedFont;
+    if (memeLanguage && FONTS[memeLanguage.toLowerCase()]) {
+        selectedFont = FONTS[memeLanguage.toLowerCase()];
+        console.log(`🔤 Using provided language font: ${memeLanguage}`);
+    } else {
+        const textToDetect = topText || bottomText || '';
+        selectedFont = textToDetect ? getFontForText(textToDetect, null) : FONTS.english;
+        console.log(`🔤 Auto-detecting font from text content`);
+    }
+
+    if (fontFamily && selectedFont === FONTS.english) {
+        console.log(`🔤 Using template font family: ${fontFamily}`);
+    }
+
+    return applyFontFamily(selectedFont, fontFamily);
+}
+
+// A font family replaces the English font only - the language fonts stay for CJK text
+function applyFontFamily(fontFile, fontFamily) {
+    return fontFamily && fontFile === FONTS.english ? FONT_FAMILIES[fontFamily] : fontFile;
+}
+
+/**
+ * Works out line breaks and sizes for the meme text on a given canvas
+ * Each block gets the largest size (between the template's min and max) whose lines fit the
+ * template's text box. Blocks of similar length share the smaller size so the meme looks even;
+ * a short punchline next to a long setup keeps its own, bigger size.
+ * Each block is measured in its own style (font family, uppercase, letter spacing); the box and
+ * size limits are the template's, the same for both.
+ * `layoutScale` converts template pixel values (authored for a 720p canvas) to this canvas.
+ * @param {object} styles - { top, bottom } from resolveTextStyles
+ * @param {string} languageFont - From selectMemeFont, before any font family is applied
+ * @returns {object} { top, bottom, layoutScale } - blocks are { lines, fontSize, strokeWidth, lineHeight, height, fontFile, style }
+ */
+function layoutMemeText(topText, bottomText, width, height, styles, languageFont) {
+    const textStyle = styles.top;
+    const layoutScale = Math.min(width, height) / TEMPLATE_REFERENCE_HEIGHT;
+    const box = {
+        width: width * textStyle.max_width,
+        height: height * textStyle.max_height,
+        maxLines: textStyle.max_lines,
+        minSize: Math.max(1, Math.round(textStyle.min_font_size * layoutScale)),
+        maxSize: Math.max(1, Math.round(textStyle.max_font_size * layoutScale))
+    };
+
+    const blockSettings = (text, style) => ({
+        text: text && style.uppercase ? text.toUpperCase() : text,
+        fontFile: applyFontFamily(languageFont, style.font_family),
+        style
+    });
+    const topSettings = blockSettings(topText, styles.top);
+    const bottomSettings = blockSettings(bottomText, styles.bottom);
+    const fit = ({ text, fontFile, style }, maxSize = box.maxSize) => text
+        ? fitTextBlock(text, fontFile, { ...box, maxSize, letterSpacing: style.letter_spacing || 0 })
+        : null;
+
+    let top = fit(topSettings);
+    let bottom = fit(bottomSettings);
+    if (top && bottom && top.fontSize !== bottom.fontSize) {
+        const smaller = Math.min(top.fontSize, bottom.fontSize);
+        if (smaller / Math.max(top.fontSize, bottom.fontSize) >= TEXT_SIZE_MATCH_RATIO) {
+            top = fit(topSettings, smaller);
+            bottom = fit(bottomSettings, smaller);
+        }
+    }
+
+    const finishBlock = (block, { fontFile, style }) => {
+        if (!block) return { lines: [], fontSize: 0, strokeWidth: 0, lineHeight: 0, height: 0, fontFile, style };
+        return {
+            ...block,
+            strokeWidth: style.stroke_width != null ? style.stroke_width : Math.max(2, Math.floor(block.fontSize / 10)),
+            lineHeight: Math.round(block.fontSize * TEXT_LINE_SPACING),
+            fontFile,
+            style
+        };
+    };
+
+    return { top: finishBlock(top, topSettings), bottom: finishBlock(bottom, bottomSettings), layoutScale };
+}
+
+// ==================== TEXT RENDERING ====================
+
+// All text (meme lines, branding, captions) is burned in with one ASS script per rendered version.
+// libass takes care of shaping, bidi and glyph rendering; this section decides which font draws
+// each character, lays out lines containing color emoji and writes the script.
+
+const fontInfoCache = new Map(); // font file -> font info (null if it couldn't be read)
+let emojiImages = null; // emoji sequence without U+FE0F -> image file, loaded on first use
+let longestEmoji = 0; // in code points
+const EMOJI_ADVANCE_EM = 1.15; // emoji images are 1em squares with a little space either side
+
+/**
+ * Returns a code point -> glyph id lookup for a font's Unicode cmap (format 12, else format 4)
+ */
+function readCmap(data, cmapOffset) {
+    const subtables = [];
+    for (let index = 0; index < data.readUInt16BE(cmapOffset + 2); index++) {
+        const record = cmapOffset + 4 + index * 8;
+        const platform = data.readUInt16BE(record);
+        const encoding = data.readUInt16BE(record + 2);
+        if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+            const offset = cmapOffset + data.readUInt32BE(record + 4);
+            subtables.push({ offset, format: data.readUInt16BE(offset) });
+        }
+    }
+
+    // Both formats store sorted ranges - find the first range ending at or after the code point
+    const findRange = (count, rangeEnd, codePoint) => {
+        let low = 0;
+        let high = count - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (rangeEnd(middle) < codePoint) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    };
+
+    const full = subtables.find(subtable => subtable.format === 12);
+    if (full) {
+        const count = data.readUInt32BE(full.offset + 12);
+        const group = (index) => full.offset + 16 + index * 12;
+        return (codePoint) => {
+            if (count === 0) return 0;
+            const index = findRange(count, (i) => data.readUInt32BE(group(i) + 4), codePoint);
+            const start = data.readUInt32BE(group(index));
+            if (codePoint < start || codePoint > data.readUInt32BE(group(index) + 4)) return 0;
+            return data.readUInt32BE(group(index) + 8) + (codePoint - start);
+        };
+    }
+
+    const bmp = subtables.find(subtable => subtable.format === 4);
+    if (!bmp) return () => 0;
+
+    const segCount = data.readUInt16BE(bmp.offset + 6) / 2;
+    const endCodes = bmp.offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+    return (codePoint) => {
+        if (codePoint > 0xFFFF) return 0;
+        const index = findRange(segCount, (i) => data.readUInt16BE(endCodes + i * 2), codePoint);
+        const start = data.readUInt16BE(startCodes + index * 2);
+        if (codePoint < start || codePoint > data.readUInt16BE(endCodes + index * 2)) return 0;
+
+        const idDelta = data.readUInt16BE(idDeltas + index * 2);
+        const rangeOffset = data.readUInt16BE(idRangeOffsets + index * 2);
+        if (rangeOffset === 0) return (codePoint + idDelta) & 0xFFFF;
+
+        const glyph = data.readUInt16BE(idRangeOffsets + index * 2 + rangeOffset + (codePoint - start) * 2);
+        return glyph === 0 ? 0 : (glyph + idDelta) & 0xFFFF;
+    };
+}
+
+/**
+ * Reads a font's family name (name ID 1), preferring the English Windows entry
+ */
+function readFamilyName(data, nameOffset) {
+    const strings = nameOffset + data.readUInt16BE(nameOffset + 4);
+    const names = [];
+    for (let index = 0; index < data.readUInt16BE(nameOffset + 2); index++) {
+        const record = nameOffset + 6 + index * 12;
+        if (data.readUInt16BE(record + 6) !== 1) continue;
+
+        const platform = data.readUInt16BE(record);
+        const start = strings + data.readUInt16BE(record + 10);
+        const bytes = data.subarray(start, start + data.readUInt16BE(record + 8));
+        if (platform === 3) {
+            const english = data.readUInt16BE(record + 4) === 0x409;
+            names.push({ rank: english ? 0 : 1, name: Buffer.from(bytes).swap16().toString('utf16le') });
+        } else if (platform === 1) {
+            names.push({ rank: 2, name: bytes.toString('latin1') });
+        }
+    }
+    names.sort((a, b) => a.rank - b.rank);
+    return names.length > 0 ? names[0].name : null;
+}
+
+/**
+ * Reads what text layout needs from a TrueType/OpenType font (the first face of a .ttc collection):
+ * the family name and weight libass matches it by, vertical metrics, glyph coverage and advances
+ * @returns {object|null} { file, family, bold, unitsPerEm, ascender, descender, winHeight, hasGlyph, advance }
+ *                        - metrics in font units; null if the file can't be read as a font
+ */
+function loadFontInfo(fontFile) {
+    if (fontInfoCache.has(fontFile)) return fontInfoCache.get(fontFile);
+
+    let info = null;
+    try {
+        const data = fs.readFileSync(fontFile);
+        const faceOffset = data.toString('latin1', 0, 4) === 'ttcf' ? data.readUInt32BE(12) : 0;
+        const tables = {};
+        for (let index = 0; index < data.readUInt16BE(faceOffset + 4); index++) {
+            const record = faceOffset + 12 + index * 16;
+            tables[data.toString('latin1', record, record + 4)] = data.readUInt32BE(record + 8);
+        }
+        const missing = ['cmap', 'head', 'hhea', 'hmtx'].filter(table => tables[table] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`missing ${missing.join(', ')} table(s)`);
+        }
+
+        const os2 = tables['OS/2'];
+        const ascender = data.readInt16BE(tables.hhea + 4);
+        const descender = data.readInt16BE(tables.hhea + 6);
+        const winHeight = os2 !== undefined ? data.readUInt16BE(os2 + 74) + data.readUInt16BE(os2 + 76) : 0;
+        const numberOfHMetrics = data.readUInt16BE(tables.hhea + 34);
+        const glyphIndex = readCmap(data, tables.cmap);
+
+        info = {
+            file: fontFile,
+            family: (tables.name !== undefined && readFamilyName(data, tables.name)) || path.parse(fontFile).name,
+            bold: os2 !== undefined && data.readUInt16BE(os2 + 4) >= 700,
+            unitsPerEm: data.readUInt16BE(tables.head + 18),
+            ascender,
+            descender,
+            // libass sizes fonts the way VSFilter does: the font size spans the Windows ascent + descent
+            winHeight: winHeight || ascender - descender,
+            hasGlyph: (codePoint) => glyphIndex(codePoint) !== 0,
+            advance: (codePoint) => data.readUInt16BE(tables.hmtx + Math.min(glyphIndex(codePoint), numberOfHMetrics - 1) * 4)
+        };
+    } catch (err) {
+        console.warn(`⚠️  Skipping font ${fontFile}: ${err.message}`);
+    }
+
+    fontInfoCache.set(fontFile, info);
+    return info;
+}
+
+/**
+ * Font settings for a block of text: the fallback chain (primary font first), the ASS font size
+ * that draws the primary font at `pixelSize` pixels per em (the unit the layout code sizes text in)
+ * and the extra space after each character in pixels (`letterSpacing` is in em)
+ */
+function assFont(primaryFontFile, text, pixelSize, letterSpacing = 0) {
+    // Han characters are shared by the CJK fonts - pick the one matching the text's kana or hangul
+    let cjkOrder = ['chinese', 'japanese', 'korean'];
+    if (/[\u3040-\u30FF]/.test(text)) cjkOrder = ['japanese', 'chinese', 'korean'];
+    else if (/[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/.test(text)) cjkOrder = ['korean', 'japanese', 'chinese'];
+
+    const files = [primaryFontFile, FONTS.english, ...cjkOrder.map(language => FONTS[language]), ...FALLBACK_FONTS];
+    const chain = [...new Set(files)]
+        .filter(file => fs.existsSync(file))
+        .map(loadFontInfo)
+        .filter(Boolean);
+    if (chain.length === 0) {
+        throw new Error(`No usable font for text rendering (tried ${primaryFontFile})`);
+    }
+
+    const primary = chain[0];
+    return {
+        chain,
+        pixelSize,
+        size: Math.round(pixelSize * primary.winHeight / primary.unitsPerEm * 10) / 10,
+        spacing: Math.round(pixelSize * letterSpacing * 10) / 10
+    };
+}
+
+/**
+ * Matches the longest emoji sequence (ZWJ sequences, flags, keycaps, skin tones) starting at `start`
+ * @returns {object|null} { length, image } - length in code points
+ */
+function matchEmoji(codePoints, start) {
+    if (!/\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]/u.test(codePoints[start])) return null;
+
+    if (!emojiImages) {
+        emojiImages = new Map();
+        const addEmoji = (entry) => {
+            if (!entry.has_img_twitter) return;
+            const sequence = entry.unified.split('-')
+                .filter(hex => hex !== 'FE0F')
+                .map(hex => String.fromCodePoint(parseInt(hex, 16)))
+                .join('');
+            emojiImages.set(sequence, path.join(EMOJI_IMAGES_DIR, entry.image));
+            longestEmoji = Math.max(longestEmoji, [...sequence].length);
+        };
+        for (const entry of JSON.parse(fs.readFileSync(path.join(EMOJI_DATA_DIR, 'emoji.json'), 'utf8'))) {
+            addEmoji(entry);
+            Object.values(entry.skin_variations || {}).forEach(addEmoji);
+        }
+    }
+
+    // Sequences may carry a U+FE0F after any component, so allow for twice the longest one
+    for (let length = Math.min(longestEmoji * 2, codePoints.length - start); length > 0; length--) {
+        const candidate = codePoints.slice(start, start + length).join('');
+        const image = emojiImages.get(candidate.replace(/\uFE0F/g, ''));
+        if (!image) continue;
+        // Digits, # and symbols like © are plain text unless emoji presentation is asked for
+        return /\p{Emoji_Presentation}|\uFE0F|\u20E3/u.test(candidate) ? { length, image } : null;
+    }
+    return null;
+}
+
+/**
+ * Splits text into runs drawn by one font each - the first font in the chain with a glyph for the
+ * character - and emoji runs drawn as images
+ * Marks, joiners, spaces and punctuation stay in the run they follow where that font can draw them,
+ * so shaping and bidi see whole words.
+ * @returns {Array} [{ text, font }] or [{ text, image }] for emoji
+ */
+function splitTextRuns(text, font) {
+    const codePoints = [...text];
+    const runs = [];
+
+    for (let index = 0; index < codePoints.length;) {
+        const emoji = matchEmoji(codePoints, index);
+        if (emoji) {
+            runs.push({ text: codePoints.slice(index, index + emoji.length).join(''), image: emoji.image });
+            index += emoji.length;
+            continue;
+        }
+
+        const char = codePoints[index];
+        const codePoint = char.codePointAt(0);
+        const previous = runs[runs.length - 1];
+        const previousFont = previous && previous.font;
+        let runFont;
+        if (previousFont && /[\p{M}\u200C\u200D\uFE00-\uFE0F]/u.test(char)) {
+            runFont = previousFont;
+        } else if (previousFont && /[\p{Z}\p{P}]/u.test(char) && previousFont.hasGlyph(codePoint)) {
+            runFont = previousFont;
+        } else {
+            runFont = font.chain.find(candidate => candidate.hasGlyph(codePoint)) || font.chain[0];
+        }
+
+        if (previousFont === runFont) {
+            previous.text += char;
+        } else {
+            runs.push({ text: char, font: runFont });
+        }
+        index++;
+    }
+
+    return runs;
+}
+
+/**
+ * Width in pixels of a character drawn by `fontInfo` as part of text set in `font`
+ * Every font in a chain is drawn at the same ASS size, which libass spreads over that font's win height.
+ */
+function advanceWidth(char, fontInfo, font) {
+    return fontInfo.advance(char.codePointAt(0)) * font.size / fontInfo.winHeight + font.spacing;
+}
+
+/**
+ * Width in pixels of a line of text at font.pixelSize, from the glyph advances
+ * Kerning and contextual shaping aren't applied, so this is close rather than exact.
+ */
+function measureText(text, font) {
+    let width = 0;
+    for (const run of splitTextRuns(text, font)) {
+        if (run.image) {
+            width += font.pixelSize * EMOJI_ADVANCE_EM + font.spacing;
+            continue;
+        }
+        for (const char of run.text) width += advanceWidth(char, run.font, font);
+    }
+    return width;
+}
+
+/**
+ * Splits text into the pieces a line may break between, measured with `font`
+ * Words break at spaces; Chinese and Japanese break between characters (closing punctuation
+ * stays with the character before it). Graphemes are kept for breaking up overlong words.
+ * @returns {Array} [{ text, space, width, graphemes: [{ text, width }] }] - space: preceded by a space
+ */
+function splitTextTokens(text, font) {
+    const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    const tokens = [];
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const pieces = word.match(/[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF][、。，．！？：；）」』〕】ー々〜]*|[^\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]+/g);
+        pieces.forEach((piece, index) => {
+            const graphemes = [...graphemeSegmenter.segment(piece)].map(({ segment }) => ({
+                text: segment,
+                width: measureText(segment, font)
+            }));
+            tokens.push({
+                text: piece,
+                space: index === 0 && tokens.length > 0,
+                width: graphemes.reduce((sum, grapheme) => sum + grapheme.width, 0),
+                graphemes
+            });
+        });
+    }
+
+    return tokens;
+}
+
+/**
+ * Breaks tokens wider than maxWidth into pieces that fit, hyphenated between letters
+ */
+function breakLongTokens(tokens, maxWidth, hyphenWidth) {
+    return tokens.flatMap(token => {
+        if (token.width <= maxWidth) return [token];
+
+        const parts = [[]];
+        let partWidth = 0;
+        for (const grapheme of token.graphemes) {
+            const current = parts[parts.length - 1];
+            if (current.length > 0 && partWidth + grapheme.width + hyphenWidth > maxWidth) {
+                parts.push([]);
+                partWidth = 0;
+            }
+            parts[parts.length - 1].push(grapheme);
+            partWidth += grapheme.width;
+        }
+
+        return parts.map((part, index) => {
+            const next = parts[index + 1];
+            const hyphen = !!next && /\p{L}$/u.test(part[part.length - 1].text) && /^\p{L}/u.test(next[0].text);
+            return {
+                text: part.map(grapheme => grapheme.text).join('') + (hyphen ? '-' : ''),
+                space: index === 0 && token.space,
+                width: part.reduce((sum, grapheme) => sum + grapheme.width, 0) + (hyphen ? hyphenWidth : 0),
+                graphemes: part
+            };
+        });
+    });
+}
+
+/**
+ * Greedy line breaking: as many tokens per line as fit in maxWidth
+ * @returns {Array} [{ tokens, width }]
+ */
+function wrapTokens(tokens, maxWidth, spaceWidth) {
+    const lines = [];
+    let line = null;
+    for (const token of tokens) {
+        const gap = token.space ? spaceWidth : 0;
+        if (line && line.width + gap + token.width <= maxWidth) {
+            line.tokens.push(token);
+            line.width += gap + token.width;
+        } else {
+            line = { tokens: [token], width: token.width };
+            lines.push(line);
+        }
+    }
+    return lines;
+}
+
+function lineText(line) {
+    return line.tokens.map((token, index) => (index > 0 && token.space ? ' ' : '') + token.text).join('');
+}
+
+/**
+ * Height in pixels of a block of lines: the line spacing between them, plus the first line's
+ * ascender down to the last line's descender (tall fonts like Anton need well over 1em)
+ */
+function textBlockHeight(lineCount, fontSize, fontInfo) {
+    if (lineCount === 0) return 0;
+    const lineBox = (fontInfo.ascender - fontInfo.descender) / fontInfo.unitsPerEm * fontSize;
+    return Math.round((lineCount - 1) * Math.round(fontSize * TEXT_LINE_SPACING) + lineBox);
+}
+
+/**
+ * Fits a block of text into a box: the largest font size from box.minSize to box.maxSize whose
+ * lines fit box.width and box.height within box.maxLines
+ * Lines are balanced - the same number of lines as greedy breaking needs, but as even in length as
+ * possible. Text that doesn't fit even at the minimum size is cut short with an ellipsis.
+ * @param {object} box - { width, height, maxLines, minSize, maxSize } in canvas pixels, plus letterSpacing in em
+ * @returns {object} { lines, fontSize, height }
+ */
+function fitTextBlock(text, fontFile, box) {
+    // Widths are measured once at TEXT_MEASURE_SIZE; at size s the box is TEXT_MEASURE_SIZE / s times wider
+    const font = assFont(fontFile, text, TEXT_MEASURE_SIZE, box.letterSpacing);
+    const tokens = splitTextTokens(text, font);
+    if (tokens.length === 0) {
+        return { lines: [], fontSize: box.maxSize, height: 0 };
+    }
+    const spaceWidth = measureText(' ', font);
+    const hyphenWidth = measureText('-', font);
+
+    const breakLines = (fontSize) => {
+        const maxWidth = box.width * TEXT_MEASURE_SIZE / fontSize;
+        const fitted = breakLongTokens(tokens, maxWidth, hyphenWidth);
+        const lineCount = wrapTokens(fitted, maxWidth, spaceWidth).length;
+
+        // Narrow the width as far as it goes without needing another line
+        let narrow = Math.max(...fitted.map(token => token.width));
+        let wide = maxWidth;
+        while (wide - narrow > 1) {
+            const middle = (narrow + wide) / 2;
+            if (wrapTokens(fitted, middle, spaceWidth).length > lineCount) narrow = middle;
+            else wide = middle;
+        }
+        return wrapTokens(fitted, wide, spaceWidth);
+    };
+    const height = (lineCount, fontSize) => textBlockHeight(lineCount, fontSize, font.chain[0]);
+    const fits = (fontSize, lines) => lines.length <= box.maxLines && height(lines.length, fontSize) <= box.height;
+
+    // Bigger sizes only ever need more room, so search for the largest that fits
+    let low = box.minSize;
+    let high = box.maxSize;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (fits(middle, breakLines(middle))) low = middle;
+        else high = middle - 1;
+    }
+
+    const fontSize = low;
+    let lines = breakLines(fontSize);
+    if (!fits(fontSize, lines)) {
+        let maxLines = Math.min(box.maxLines, lines.length);
+        while (maxLines > 1 && height(maxLines, fontSize) > box.height) maxLines--;
+        console.warn(`⚠️  Text doesn't fit at the minimum size ${fontSize}px - keeping ${maxLines} of ${lines.length} lines`);
+        lines = lines.slice(0, maxLines);
+
+        const maxWidth = box.width * TEXT_MEASURE_SIZE / fontSize;
+        const last = lines[lines.length - 1];
+        const ellipsisWidth = measureText('…', font);
+        while (last.tokens.length > 1 && last.width + ellipsisWidth > maxWidth) {
+            const removed = last.tokens.pop();
+            last.width -= removed.width + (removed.space ? spaceWidth : 0);
+        }
+        last.tokens.push({ text: '…', space: false, width: ellipsisWidth });
+    }
+
+    return { lines: lines.map(lineText), fontSize, height: height(lines.length, fontSize) };
+}
+
+/**
+ * Reads an ffmpeg-style color ('white', '#ffcc00', '0xffcc00', 'black@0.5')
+ * @returns {object|null} { rgb, alpha } - rgb as 6 hex digits, alpha from 0 to 1; null if unsupported
+ */
+function readColor(color) {
+    if (typeof color !== 'string') return null;
+    const [name, alphaText, ...rest] = color.split('@');
+    const named = {
+        white: 'FFFFFF', black: '000000', yellow: 'FFFF00', red: 'FF0000', green: '00FF00',
+        blue: '0000FF', cyan: '00FFFF', magenta: 'FF00FF', orange: 'FFA500', pink: 'FFC0CB'
+    };
+    const rgb = (named[name.toLowerCase()] || name.replace(/^(#|0x)/i, '')).toUpperCase();
+    const alpha = alphaText !== undefined ? parseFloat(alphaText) : 1;
+    if (rest.length > 0 || !/^[0-9A-F]{6}$/.test(rgb) || !(alpha >= 0 && alpha <= 1)) return null;
+    return { rgb, alpha };
+}
+
+/**
+ * Converts an ffmpeg-style color ('white', '#ffcc00', '0xffcc00', 'black@0.5') into ASS &HAABBGGRR
+ */
+function toAssColor(color) {
+    let parsed = readColor(String(color));
+    if (!parsed) {
+        console.warn(`⚠️  Unsupported text color "${color}", using white`);
+        parsed = { rgb: 'FFFFFF', alpha: 1 };
+    }
+    const { rgb } = parsed;
+    // ASS alpha is inverted: 00 is opaque
+    const alpha = Math.round((1 - parsed.alpha) * 255).toString(16).toUpperCase().padStart(2, '0');
+    return `&H${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+// Override tags setting the fill color and alpha of an event (style colors set both at once)
+function assFillTags(color) {
+    const assColor = toAssColor(color);
+    return `\\1c&H${assColor.slice(4)}&\\1a&H${assColor.slice(2, 4)}&`;
+}
+
+/**
+ * Color at `position` (0 = first stop, 1 = last) along a gradient of evenly spaced color stops
+ */
+function gradientColor(gradient, position) {
+    const stops = gradient.map(color => readColor(color) || { rgb: 'FFFFFF', alpha: 1 });
+    const scaled = Math.min(1, Math.max(0, position)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(scaled));
+    const [from, to] = [stops[index], stops[index + 1]];
+    const amount = scaled - index;
+
+    const channel = (offset) => {
+        const start = parseInt(from.rgb.slice(offset, offset + 2), 16);
+        const end = parseInt(to.rgb.slice(offset, offset + 2), 16);
+        return Math.round(start + (end - start) * amount).toString(16).padStart(2, '0');
+    };
+    const alpha = from.alpha + (to.alpha - from.alpha) * amount;
+    return `#${channel(0)}${channel(2)}${channel(4)}@${Number(alpha.toFixed(3))}`;
+}
+
+function formatAssTime(seconds) {
+    const centis = Math.max(0, Math.round(seconds * 100));
+    const hours = Math.floor(centis / 360000);
+    const minutes = Math.floor((centis % 360000) / 6000);
+    const secs = Math.floor((centis % 6000) / 100);
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centis % 100).padStart(2, '0')}`;
+}
+
+function escapeForAss(text) {
+    return text
+        .replace(/\\/g, '\\\u200B') // a backslash not followed by N/n/h stays literal
+        .replace(/\{/g, '(')
+        .replace(/\}/g, ')')
+        .replace(/\n/g, '\\N');
+}
+
+/**
+ * ASS event text for a run of text: each font run switches font with \fn and \b overrides
+ * Emoji are left out - they're placed as images by addTextLine.
+ */
+function assTextRuns(text, font) {
+    return splitTextRuns(text, font)
+        .filter(run => !run.image)
+        .map(run => `{\\fn${run.font.family}\\b${run.font.bold ? 1 : 0}}${escapeForAss(run.text)}`)
+        .join('');
+}
+
+let libassFontsDir = null; // promise of LIBASS_FONTS_DIR, set up on first use
+
+/**
+ * The fontsdir handed to libass: LIBASS_FONTS_DIR, holding a link to every font file in FONTS_DIR
+ * (FONTS_DIR itself has other files libass would try and fail to load as fonts)
+ */
+function prepareLibassFontsDir() {
+    if (!libassFontsDir) {
+        libassFontsDir = (async () => {
+            await fsp.mkdir(LIBASS_FONTS_DIR, { recursive: true });
+            for (const file of (await fsp.readdir(FONTS_DIR)).filter(name => FONT_FILE_PATTERN.test(name))) {
+                await fsp.symlink(path.join(FONTS_DIR, file), path.join(LIBASS_FONTS_DIR, file)).catch(err => {
+                    if (err.code !== 'EEXIST') throw err;
+                });
+            }
+            return LIBASS_FONTS_DIR;
+        })();
+        libassFontsDir.catch(() => { libassFontsDir = null; });
+    }
+    return libassFontsDir;
+}
+
+function escapeFilterPath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\\\''");
+}
+
+/**
+ * Starts an empty ASS script for a canvas - text is added to it with addTextStyle/addTextLine
+ */
+function createTextScript(width, height) {
+    return { width, height, styles: [], events: [], emoji: [] };
+}
+
+/**
+ * Adds a named style to a script
+ * @param {object} style - Template text style (color, stroke_color, shadow_color, shadow_x, shadow_y)
+ * @param {object} options - { outline, alignment, marginL, marginR, marginV }
+ */
+function addTextStyle(script, name, font, style, { outline, alignment = 7, marginL = 0, marginR = 0, marginV = 0 }) {
+    script.styles.push({ name, font, style, outline, alignment, marginL, marginR, marginV });
+}
+
+/**
+ * The stretches of time a timed line is drawn in: its entrance, the hold and its exit
+ * Each phase carries the override tags of its animation, a slide (\\move between fractions of the
+ * slide offset) or a typewriter's number of visible graphemes. A block too short for both its
+ * entrance and exit splits the time between them.
+ * @param {object} timing - From memeLineTiming; null = the whole video, no animation
+ * @returns {object} { phases: [{ start, end, tags, move, visible }], emojiWindow } - emojiWindow(offset)
+ *                   gives the [from, to] an emoji that many graphemes into the line is shown in
+ */
+function textAnimationPhases(timing, graphemeCount) {
+    if (!timing) {
+        return { phases: [{ tags: '', move: null, visible: Infinity }], emojiWindow: () => [undefined, undefined] };
+    }
+
+    const { start, end, entrance, exit } = timing;
+    if (end !== undefined && start >= end) {
+        return { phases: [], emojiWindow: () => [undefined, undefined] };
+    }
+    let inLength = entrance !== 'none' ? timing.duration : 0;
+    let outLength = exit !== 'none' && end !== undefined ? timing.duration : 0;
+    if (end !== undefined && inLength + outLength > end - start) {
+        const share = (end - start) / (inLength + outLength);
+        inLength *= share;
+        outLength *= share;
+    }
+    const holdStart = start + inLength;
+    const holdEnd = end !== undefined ? end - outLength : undefined;
+    const ms = (seconds) => Math.round(seconds * 1000);
+
+    const effectPhases = (effect, from, length, leaving) => {
+        const phase = { start: from, end: from + length, tags: '', move: null, visible: Infinity };
+        if (effect === 'fade') {
+            return [{ ...phase, tags: leaving ? `\\fad(0,${ms(length)})` : `\\fad(${ms(length)},0)` }];
+        }
+        if (effect === 'pop') {
+            // Overshoots a little on the way in, swells before shrinking away on the way out
+            const tags = leaving
+                ? `\\t(0,${ms(length * 0.3)},\\fscx110\\fscy110)\\t(${ms(length * 0.3)},${ms(length)},\\fscx0\\fscy0)`
+                : `\\fscx0\\fscy0\\t(0,${ms(length * 0.7)},\\fscx110\\fscy110)\\t(${ms(length * 0.7)},${ms(length)},\\fscx100\\fscy100)`;
+            return [{ ...phase, tags }];
+        }
+        if (effect === 'slide') {
+            return [{ ...phase, move: leaving ? [0, 1] : [1, 0] }];
+        }
+        // typewriter - one event per grapheme typed (or erased from the end)
+        const step = length / graphemeCount;
+        return Array.from({ length: graphemeCount }, (_, index) => ({
+            ...phase,
+            start: from + index * step,
+            end: from + (index + 1) * step,
+            visible: leaving ? graphemeCount - index : index + 1
+        }));
+    };
+
+    const phases = [];
+    if (inLength > 0) phases.push(...effectPhases(entrance, start, inLength, false));
+    phases.push({ start: holdStart, end: holdEnd, tags: '', move: null, visible: Infinity });
+    if (outLength > 0) phases.push(...effectPhases(exit, holdEnd, outLength, true));
+
+    // Emoji images can't fade, scale or move - they show once the text has settled, or as they're typed
+    const emojiWindow = (offset) => [
+        entrance === 'typewriter' ? start + offset * inLength / graphemeCount : holdStart,
+        exit === 'typewriter' && outLength > 0 ? holdEnd + (graphemeCount - offset) * outLength / graphemeCount : holdEnd
+    ];
+
+    return { phases: phases.filter(phase => phase.end === undefined || phase.end - phase.start >= 0.01), emojiWindow };
+}
+
+/**
+ * Adds one line of text (no wrapping) anchored at a point, plus images for any color emoji in it
+ * Lines without emoji are a single event that libass aligns itself. Lines with emoji are cut into
+ * text pieces placed from the font metrics, with the emoji images in the gaps between them.
+ * A gradient fill (color stops running top to bottom) can't be set on an ASS style: the line is drawn
+ * with its outline and shadow only, then again in flat horizontal bands each clipped to its slice.
+ * A timed line is drawn as an event per animation phase (see textAnimationPhases); a typewriter
+ * hides the graphemes not typed yet, so the line keeps its layout while it fills in.
+ * @param {object} anchor - { x, y, alignment } - ASS numpad alignment and the point it anchors to
+ * @param {object} options - { gradient, timing } - gradient: color stops replacing the style's fill
+ *                           color; timing: from memeLineTiming (default: the whole video, no animation)
+ */
+function addTextLine(script, styleName, text, font, anchor, { gradient = null, timing = null } = {}) {
+    const runs = splitTextRuns(text, font);
+    const round = (value) => Math.round(value);
+    const hasEmoji = runs.some(run => run.image);
+    const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    const graphemes = (value) => [...graphemeSegmenter.segment(value)].map(({ segment }) => segment);
+
+    // Emoji images can't scale, so a line with emoji fades instead of popping
+    if (timing && hasEmoji) {
+        const unpop = (effect) => effect === 'pop' ? 'fade' : effect;
+        timing = { ...timing, entrance: unpop(timing.entrance), exit: unpop(timing.exit) };
+    }
+    const popping = !!timing && (timing.entrance === 'pop' || timing.exit === 'pop');
+
+    const scale = (fontInfo) => font.size / fontInfo.winHeight;
+    const primary = font.chain[0];
+    const lineHeight = (primary.ascender - primary.descender) * scale(primary);
+    const column = (anchor.alignment - 1) % 3;
+    const row = Math.floor((anchor.alignment - 1) / 3);
+    const top = anchor.y - [lineHeight, lineHeight / 2, 0][row];
+    const baseline = top + primary.ascender * scale(primary);
+
+    // The line's events: the whole line, or the text pieces between its emoji
+    // offset - graphemes before the part in reading order (the order a typewriter reveals them in)
+    const parts = [];
+    const emoji = [];
+
+    if (!hasEmoji) {
+        // A popping line scales from its middle
+        parts.push(popping
+            ? { text, x: anchor.x, y: top + lineHeight / 2, alignment: column + 4, offset: 0 }
+            : { text, x: anchor.x, y: anchor.y, alignment: anchor.alignment, offset: 0 });
+    } else {
+        const emojiSize = round(font.pixelSize);
+        const emojiAdvance = round(font.pixelSize * EMOJI_ADVANCE_EM + font.spacing);
+
+        // Consecutive text runs form one piece; every character is measured with the font that draws it
+        const pieces = [];
+        let offset = 0;
+        for (const run of runs) {
+            if (run.image) {
+                pieces.push({ image: run.image, width: emojiAdvance, offset });
+                offset++;
+                continue;
+            }
+            let piece = pieces[pieces.length - 1];
+            if (!piece || piece.image) {
+                piece = { chars: [], width: 0, offset };
+                pieces.push(piece);
+            }
+            for (const char of run.text) {
+                const width = advanceWidth(char, run.font, font);
+                piece.chars.push({ char, font: run.font, width });
+                piece.width += width;
+            }
+            offset += graphemes(run.text).length;
+        }
+
+        const lineWidth = pieces.reduce((sum, piece) => sum + piece.width, 0);
+        let x = anchor.x - [0, lineWidth / 2, lineWidth][column];
+
+        // A right-to-left line starts from its right-hand end
+        const firstLetter = text.match(/\p{L}/u);
+        const rightToLeft = !!firstLetter && /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}]/u.test(firstLetter[0]);
+        if (rightToLeft) pieces.reverse();
+
+        for (const piece of pieces) {
+            if (piece.image) {
+                emoji.push({
+                    image: piece.image,
+                    x: round(x + (piece.width - emojiSize) / 2),
+                    y: round(baseline - emojiSize * 0.85),
+                    size: emojiSize,
+                    offset: piece.offset
+                });
+                x += piece.width;
+                continue;
+            }
+
+            // libass drops spaces at either end of a line, so they become offsets instead
+            // (in a right-to-left line the trailing spaces are the ones on the left)
+            const chars = [...piece.chars];
+            let leading = 0;
+            let trailing = 0;
+            let leadingCount = 0;
+            while (chars.length > 0 && /\s/.test(chars[0].char)) {
+                leading += chars.shift().width;
+                leadingCount++;
+            }
+            while (chars.length > 0 && /\s/.test(chars[chars.length - 1].char)) trailing += chars.pop().width;
+            const pieceOffset = rightToLeft ? trailing : leading;
+
+            if (chars.length > 0) {
+                const ascent = Math.max(...chars.map(entry => entry.font.ascender * scale(entry.font)));
+                parts.push({
+                    text: chars.map(entry => entry.char).join(''),
+                    x: x + pieceOffset,
+                    y: baseline - ascent,
+                    alignment: 7,
+                    offset: piece.offset + leadingCount
+                });
+            }
+            x += piece.width;
+        }
+    }
+
+    const graphemeCount = graphemes(text).length;
+    const { phases, emojiWindow } = textAnimationPhases(timing, graphemeCount);
+
+    // A slide starts (or ends) just off the canvas edge the line comes in from
+    let slide = [0, 0];
+    if (timing && (timing.entrance === 'slide' || timing.exit === 'slide')) {
+        const lineWidth = measureText(text, font);
+        const lineLeft = anchor.x - [0, lineWidth / 2, lineWidth][column];
+        const margin = font.pixelSize;
+        slide = {
+            left: [-(lineLeft + lineWidth + margin), 0],
+            right: [script.width - lineLeft + margin, 0],
+            top: [0, -(top + lineHeight + margin)],
+            bottom: [0, script.height - top + margin]
+        }[timing.slideFrom];
+    }
+
+    // The gradient runs from the top of the line to the baseline, the bands at either end reach the canvas edges
+    const bandEdge = (index) => index === 0 ? 0
+        : index === TEXT_GRADIENT_BANDS ? script.height
+        : round(top + (baseline - top) * index / TEXT_GRADIENT_BANDS);
+    const pushText = (tags, partText, start, end) => {
+        if (!gradient) {
+            script.events.push({ style: styleName, text: `{${tags}\\q2}${partText}`, start, end });
+            return;
+        }
+        script.events.push({ style: styleName, text: `{${tags}\\q2\\1a&HFF&}${partText}`, start, end });
+        for (let index = 0; index < TEXT_GRADIENT_BANDS; index++) {
+            const color = gradientColor(gradient, (index + 0.5) / TEXT_GRADIENT_BANDS);
+            const clip = `\\clip(0,${bandEdge(index)},${script.width},${bandEdge(index + 1)})`;
+            script.events.push({ style: styleName, text: `{${tags}\\q2\\bord0\\shad0${assFillTags(color)}${clip}}${partText}`, start, end });
+        }
+    };
+
+    for (const phase of phases) {
+        for (const part of parts) {
+            const partGraphemes = graphemes(part.text);
+            const visible = Math.min(partGraphemes.length, phase.visible - part.offset);
+            if (visible <= 0) continue;
+
+            const hidden = partGraphemes.slice(visible).join('');
+            const partText = assTextRuns(partGraphemes.slice(0, visible).join(''), font) +
+                (hidden ? `{\\alpha&HFF&}${assTextRuns(hidden, font)}` : '');
+            const position = phase.move
+                ? `\\move(${phase.move.map(share => `${round(part.x + slide[0] * share)},${round(part.y + slide[1] * share)}`).join(',')})`
+                : `\\pos(${round(part.x)},${round(part.y)})`;
+            pushText(`\\an${part.alignment}${position}${phase.tags}`, partText, phase.start, phase.end);
+        }
+    }
+
+    for (const { offset, ...image } of emoji) {
+        const [start, end] = emojiWindow(offset);
+        if (phases.length > 0) script.emoji.push({ ...image, start, end });
+    }
+}
+
+/**
+ * Writes the script and returns the filter steps that burn it in: an ass step, then an overlay
+ * step per emoji image (emoji may have a start and end, in seconds)
+ * @returns {Array} filter steps ending at outputLabel - empty when the script has nothing to draw
+ */
+async function buildTextSteps(inputLabel, outputLabel, labelPrefix, assPath, script) {
+    if (script.events.length === 0 && script.emoji.length === 0) {
+        return [];
+    }
+
+    const styleLines = script.styles.map(({ name, font, style, outline, alignment, marginL, marginR, marginV }) => {
+        const color = toAssColor(style.color);
+        const primary = font.chain[0];
+        return `Style: ${name},${primary.family},${font.size},${color},${color},${toAssColor(style.stroke_color)},` +
+            `${toAssColor(style.shadow_color)},${primary.bold ? -1 : 0},0,0,0,100,100,${font.spacing},0,1,${outline},0,` +
+            `${alignment},${marginL},${marginR},${marginV},1`;
+    });
+    // ASS styles have one shadow depth, template styles separate x/y offsets
+    const shadowTags = Object.fromEntries(script.styles.map(({ name, style }) =>
+        [name, `{\\xshad${style.shadow_x || 0}\\yshad${style.shadow_y || 0}}`]
+    ));
+
+    const lines = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${script.width}`,
+        `PlayResY: ${script.height}`,
+        'WrapStyle: 0',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        ...styleLines,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        // Events without times (meme text, branding) stay up for the whole video
+        ...script.events.map(event => `Dialogue: 0,${formatAssTime(event.start || 0)},${formatAssTime(event.end || 35999.99)},` +
+            `${event.style},,0,0,0,,${shadowTags[event.style]}${event.text}`)
+    ];
+    await fsp.writeFile(assPath, lines.join('\n'), 'utf8');
+
+    const families = [...new Set(script.styles.map(style => style.font.chain[0].family))];
+    console.log(`🔤 Text: ${script.events.length} events, ${script.emoji.length} emoji (${families.join(', ')})`);
+
+    const filterParts = [];
+    const textLabel = script.emoji.length > 0 ? `${labelPrefix}text` : outputLabel;
+    const fontsDir = await prepareLibassFontsDir();
+    filterParts.push(`[${inputLabel}]ass=filename='${escapeFilterPath(assPath)}':fontsdir='${escapeFilterPath(fontsDir)}'[${textLabel}]`);
+
+    let currentLabel = textLabel;
+    script.emoji.forEach((emoji, index) => {
+        const nextLabel = index === script.emoji.length - 1 ? outputLabel : `${labelPrefix}e${index}`;
+        filterParts.push(`movie='${escapeFilterPath(emoji.image)}',scale=${emoji.size}:${emoji.size}[${labelPrefix}emoji${index}]`);
+        // Emoji in timed text only show while their line does
+        let enable = '';
+        if (emoji.start !== undefined || emoji.end !== undefined) {
+            const shownFrom = (emoji.start || 0).toFixed(3);
+            enable = emoji.end !== undefined ? `:enable='between(t,${shownFrom},${emoji.end.toFixed(3)})'` : `:enable='gte(t,${shownFrom})'`;
+        }
+        filterParts.push(`[${currentLabel}][${labelPrefix}emoji${index}]overlay=${emoji.x}:${emoji.y}${enable}[${nextLabel}]`);
+        currentLabel = nextLabel;
+    });
+
+    return filterParts;
+}
+
+// ==================== CAPTIONS ====================
+
+/**
+ * Parses a caption timestamp: SRT "00:01:02,500", VTT "01:02.500" / "00:01:02.500", or plain seconds
+ */
+function parseCaptionTimestamp(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+    if (!match) {
+        throw new Error(`Invalid caption timestamp: ${value}`);
+    }
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Parses SRT or VTT text into cues
+ */
+function parseSubtitleText(text) {
+    const cues = [];
+    const blocks = text.replace(/\r/g, '').replace(/^\uFEFF?WEBVTT[^\n]*\n/, '').split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim());
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue; // index-only, NOTE or STYLE blocks
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const cueText = lines.slice(timingIndex + 1)
+            .join('\n')
+            .replace(/<[^>]+>/g, '') // VTT voice/styling tags
+            .trim();
+        if (!cueText) continue;
+
+        cues.push({
+            start: parseCaptionTimestamp(startText),
+            // VTT cue settings ("align:start position:10%") follow the end timestamp
+            end: parseCaptionTimestamp(endText.trim().split(/\s+/)[0]),
+            text: cueText,
+            words: null
+        });
+    }
+
+    return cues;
+}
+
+/**
+ * Groups word-level timestamps into caption lines
+ * A line ends after `wordsPerLine` words, at sentence punctuation, or at a pause of over a second
+ */
+function groupCaptionWords(words, wordsPerLine) {
+    const cues = [];
+    let current = [];
+
+    const flush = () => {
+        if (current.length === 0) return;
+        cues.push({
+            start: current[0].start,
+            end: current[current.length - 1].end,
+            text: current.map(word => word.text).join(' '),
+            words: current
+        });
+        current = [];
+    };
+
+    for (const entry of words) {
+        if (!entry || typeof entry.text !== 'string' || entry.start === undefined || entry.end === undefined) {
+            throw new Error('Caption words must be objects with start, end and text');
+        }
+        const word = {
+            start: parseCaptionTimestamp(entry.start),
+            end: parseCaptionTimestamp(entry.end),
+            text: entry.text.trim()
+        };
+        if (!word.text) continue;
+
+        const previous = current[current.length - 1];
+        if (previous && word.start - previous.end > 1) {
+            flush();
+        }
+        current.push(word);
+        if (current.length >= wordsPerLine || /[.?!。？！]$/.test(word.text)) {
+            flush();
+        }
+    }
+    flush();
+
+    return cues;
+}
+
+/**
+ * Normalizes the `captions` request input into timed cues
+ * @param {string|Array} captions - Inline SRT/VTT text, or an array of { start, end, text } words
+ * @returns {Array} cues - { start, end, text, words } (words only for word-level input)
+ */
+function parseCaptions(captions, wordsPerLine = CAPTION_DEFAULTS.words_per_line) {
+    let cues;
+    if (Array.isArray(captions)) {
+        cues = groupCaptionWords(captions, wordsPerLine);
+    } else if (typeof captions === 'string' && captions.includes('-->')) {
+        cues = parseSubtitleText(captions);
+    } else {
+        throw new Error('captions must be SRT/VTT text or an array of { start, end, text } words');
+    }
+
+    for (const cue of cues) {
+        if (!(cue.end > cue.start)) {
+            throw new Error(`Caption "${cue.text}" ends before it starts`);
+        }
+    }
+    if (cues.length === 0) {
+        throw new Error('captions contained no cues');
+    }
+
+    return cues;
+}
+
+/**
+ * Caption font and placement for a canvas: sized off the short side, stacked above the bottom text block
+ */
+function captionLayout(cues, width, height, memeLanguage, textStyle, bottomTextHeight, bottomOffset) {
+    const fontSize = Math.round(Math.min(width, height) / 16);
+    const captionText = cues.map(cue => cue.text).join(' ');
+    return {
+        fontSize,
+        fontFile: selectMemeFont(captionText, '', memeLanguage, textStyle.font_family),
+        marginV: bottomOffset + bottomTextHeight + (bottomTextHeight ? Math.round(fontSize / 2) : 0)
+    };
+}
+
+/**
+ * Adds the captions to a text script as timed events that libass wraps and places bottom-center
+ * Word-level cues get one event per word so only the word being spoken is highlighted (karaoke).
+ * Captions leave emoji out: libass wraps caption lines itself, so there's nowhere to place the images.
+ * @param {object} layout - From captionLayout
+ */
+function addCaptions(script, cues, layout, textStyle, captionOptions) {
+    const { fontFile, fontSize, marginV } = layout;
+    const font = assFont(fontFile, cues.map(cue => cue.text).join(' '), fontSize);
+    const margin = Math.round(script.width * 0.05);
+    addTextStyle(script, 'Caption', font, textStyle, {
+        outline: Math.max(1, Math.round(fontSize / 12)),
+        alignment: 2,
+        marginL: margin,
+        marginR: margin,
+        marginV
+    });
+
+    const baseColor = toAssColor(textStyle.color);
+    const highlightColor = toAssColor(captionOptions.highlight_color);
+    const eventCount = script.events.length;
+    for (const cue of cues) {
+        if (!cue.words || !captionOptions.karaoke) {
+            script.events.push({ start: cue.start, end: cue.end, style: 'Caption', text: assTextRuns(cue.text, font) });
+            continue;
+        }
+
+        // Lead-in before the first word is spoken, then one event per active word
+        if (cue.words[0].start > cue.start) {
+            script.events.push({ start: cue.start, end: cue.words[0].start, style: 'Caption', text: assTextRuns(cue.text, font) });
+        }
+        cue.words.forEach((word, index) => {
+            const next = cue.words[index + 1];
+            const text = cue.words.map((other, otherIndex) => otherIndex === index
+                ? `{\\c${highlightColor}}${assTextRuns(other.text, font)}{\\c${baseColor}}`
+                : assTextRuns(other.text, font)
+            ).join(' ');
+            script.events.push({ start: word.start, end: next ? next.start : cue.end, style: 'Caption', text });
+        });
+    }
+
+    console.log(`💬 Captions: ${cues.length} cues, ${script.events.length - eventCount} events (${font.chain[0].family} ${fontSize}px, marginV ${marginV})`);
+}
+
+// ==================== BRANDING ====================
+
+/**
+ * The branding settings for a render: the template's branding section with the request's
+ * `branding` overrides on top (null when the template has no branding)
+ */
+function resolveBranding(template, overrides = null) {
+    if (!template.branding) return null;
+    const { logo_url, ...settings } = overrides || {};
+    return { ...template.branding, ...settings };
+}
+
+// Scales a color's alpha (e.g. "black@0.5") by an opacity
+function fadeColor(color, opacity) {
+    const [name, alphaText] = String(color).split('@');
+    const alpha = alphaText !== undefined ? parseFloat(alphaText) : 1;
+    return `${name}@${Number((alpha * opacity).toFixed(3))}`;
+}
+
+// Where an anchor puts an item along a range it can move in: 0 (left/top), half way, or the far end
+function anchorOffset(anchor, range) {
+    const [vertical, horizontal] = anchor === 'center' ? ['center', 'center'] : anchor.split('-');
+    const offset = (side, start, end) => side === start ? 0 : side === end ? range : range / 2;
+    return { x: offset(horizontal, 'left', 'right'), y: offset(vertical, 'top', 'bottom') };
+}
+
+/**
+ * Position of a bouncing item at time t - it travels at `speed` px/s and reflects off the range ends
+ * (a triangle wave starting at `start`)
+ */
+function bouncePosition(start, range, speed, t) {
+    if (range <= 0) return 0;
+    const travelled = (start + speed * t) % (2 * range);
+    return range - Math.abs(travelled - range);
+}
+
+/**
+ * Branding component - puts the template branding on one rendered version: text (with the
+ * {project} placeholder filled in) or a PNG logo, at an anchor and margin, with an opacity and
+ * optional motion:
+ *   bounce        - drifts across the frame at bounce_speed, reflecting off the margins
+ *   corner_switch - jumps to the next corner every corner_switch_interval seconds
+ *   fade_in       - appears after fade_in_delay, fading in over fade_in_duration
+ * Text is added to the version's text script; a logo is returned and composited afterwards with
+ * buildLogoFilters. Any render path that draws a text script can call this.
+ * @param {object} script - Text script of the version (see createTextScript)
+ * @param {object} options - { branding (see resolveBranding), projectName, fontFile, layoutScale, duration, logoPath }
+ *                           logoPath (a downloaded logo) wins over the template's branding.image
+ * @returns {object|null} The logo to pass to buildLogoFilters, or null for text branding
+ */
+async function addBranding(script, options) {
+    const { branding, projectName, fontFile, layoutScale, duration } = options;
+    const marginX = Math.round(branding.margin_x * layoutScale);
+    const marginY = Math.round(branding.margin_y * layoutScale);
+
+    const logoPath = options.logoPath || (branding.image ? path.join(__dirname, branding.image) : null);
+    if (logoPath) {
+        const image = await getImageDimensions(logoPath);
+        const width = Math.max(2, Math.round(script.width * branding.scale / 2) * 2);
+        const height = Math.max(2, Math.round(width * image.height / image.width / 2) * 2);
+        console.log(`🏷️  Branding logo: ${width}x${height} at ${branding.anchor}, opacity ${branding.opacity}, motion ${branding.motion}`);
+        return { path: logoPath, width, height, marginX, marginY, branding, speed: branding.bounce_speed * layoutScale };
+    }
+
+    const text = projectName
+        ? branding.text.replace(/\{project\}/g, projectName)
+        : branding.text_without_project;
+    const font = assFont(
+        branding.font_family ? FONT_FAMILIES[branding.font_family] : fontFile,
+        text,
+        Math.max(MIN_BRANDING_FONT_SIZE, Math.round(branding.font_size * layoutScale))
+    );
+    const style = {
+        ...branding,
+        color: fadeColor(branding.color, branding.opacity),
+        stroke_color: fadeColor(branding.stroke_color, branding.opacity),
+        shadow_color: fadeColor(branding.shadow_color, branding.opacity)
+    };
+    addTextStyle(script, 'Branding', font, style, { outline: Math.max(1, Math.round(branding.stroke_width * layoutScale)) });
+    console.log(`🏷️  Branding text: "${text}" at ${branding.anchor}, opacity ${branding.opacity}, motion ${branding.motion}`);
+
+    if (branding.motion === 'none') {
+        addTextLine(script, 'Branding', text, font, anchorAlignment(branding.anchor, marginX, marginY, script.width, script.height));
+        return null;
+    }
+
+    // Moving text is plain ASS events - emoji images can't follow it, so they're left out
+    const runs = assTextRuns(text, font);
+    const event = (tags, start, end) => script.events.push({ style: 'Branding', text: `{${tags}\\q2}${runs}`, start, end });
+
+    if (branding.motion === 'fade_in') {
+        const { alignment, x, y } = anchorAlignment(branding.anchor, marginX, marginY, script.width, script.height);
+        event(`\\an${alignment}\\pos(${Math.round(x)},${Math.round(y)})\\fad(${Math.round(branding.fade_in_duration * 1000)},0)`, branding.fade_in_delay);
+    } else if (branding.motion === 'corner_switch') {
+        const interval = branding.corner_switch_interval;
+        const first = Math.max(0, BRANDING_CORNERS.indexOf(branding.anchor));
+        const count = Math.max(1, Math.ceil(duration / interval));
+        for (let index = 0; index < count; index++) {
+            const corner = BRANDING_CORNERS[(first + index) % BRANDING_CORNERS.length];
+            const { alignment, x, y } = anchorAlignment(corner, marginX, marginY, script.width, script.height);
+            // The last corner stays up to the end, whatever the exact length
+            event(`\\an${alignment}\\pos(${Math.round(x)},${Math.round(y)})`, index * interval, index === count - 1 ? undefined : (index + 1) * interval);
+        }
+    } else {
+        // bounce - one \move event per straight stretch, split wherever either axis reflects
+        const rangeX = script.width - measureText(text, font) - 2 * marginX;
+        const rangeY = script.height - textBlockHeight(1, font.pixelSize, font.chain[0]) - 2 * marginY;
+        const start = anchorOffset(branding.anchor, 1);
+        const speed = branding.bounce_speed * layoutScale;
+        const axes = [
+            { range: rangeX, start: start.x * Math.max(0, rangeX), speed },
+            { range: rangeY, start: start.y * Math.max(0, rangeY), speed: speed * 0.75 }
+        ];
+
+        const times = [0, duration];
+        for (const axis of axes) {
+            if (axis.range <= 0) continue;
+            for (let t = (axis.range - axis.start) / axis.speed; t < duration; t += axis.range / axis.speed) {
+                times.push(t);
+            }
+        }
+        times.sort((a, b) => a - b);
+
+        const point = (t) => axes.map((axis, index) => Math.round([marginX, marginY][index] + bouncePosition(axis.start, axis.range, axis.speed, t)));
+        for (let index = 1; index < times.length; index++) {
+            const [t0, t1] = [times[index - 1], times[index]];
+            if (t1 - t0 < 0.01) continue;
+            const [x0, y0] = point(t0);
+            const [x1, y1] = point(t1);
+            event(`\\an7\\move(${x0},${y0},${x1},${y1},0,${Math.round((t1 - t0) * 1000)})`, t0, index === times.length - 1 ? undefined : t1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Filter steps compositing a logo from addBranding onto a video stream
+ * Opacity comes from the logo's alpha; motion from time-based overlay positions (a fading
+ * logo loops as a stream so the fade has frames to play out on).
+ */
+function buildLogoFilters(inputLabel, outputLabel, labelPrefix, logo, canvas) {
+    const { branding, width, height, marginX, marginY } = logo;
+    const fadeIn = branding.motion === 'fade_in';
+
+    const chain = [`movie='${escapeFilterPath(logo.path)}'${fadeIn ? `:loop=0,setpts=N/(${BRANDING_LOGO_FPS}*TB)` : ''}`, `scale=${width}:${height}`, 'format=rgba'];
+    if (branding.opacity < 1) {
+        chain.push(`colorchannelmixer=aa=${branding.opacity}`);
+    }
+    if (fadeIn) {
+        chain.push(`fade=t=in:st=${branding.fade_in_delay}:d=${branding.fade_in_duration}:alpha=1`);
+    }
+
+    const rangeX = canvas.width - width - 2 * marginX;
+    const rangeY = canvas.height - height - 2 * marginY;
+    let x;
+    let y;
+    if (branding.motion === 'corner_switch') {
+        // Corners in BRANDING_CORNERS order: 1 and 2 are on the right, 2 and 3 at the bottom
+        const corner = `mod(floor(t/${branding.corner_switch_interval})+${Math.max(0, BRANDING_CORNERS.indexOf(branding.anchor))}\\,4)`;
+        x = `if(between(${corner}\\,1\\,2)\\,${marginX + Math.max(0, rangeX)}\\,${marginX})`;
+        y = `if(gte(${corner}\\,2)\\,${marginY + Math.max(0, rangeY)}\\,${marginY})`;
+    } else if (branding.motion === 'bounce') {
+        const start = anchorOffset(branding.anchor, 1);
+        const triangle = (margin, range, offset, speed) => range > 0
+            ? `${margin}+${range}-abs(mod(${offset.toFixed(2)}+${speed.toFixed(2)}*t\\,${2 * range})-${range})`
+            : `${margin}`;
+        x = triangle(marginX, rangeX, start.x * rangeX, logo.speed);
+        y = triangle(marginY, rangeY, start.y * rangeY, logo.speed * 0.75);
+    } else {
+        ({ x, y } = anchorPosition(branding.anchor, marginX, marginY, { W: canvas.width, H: canvas.height, w: width, h: height }));
+    }
+
+    return [
+        `${chain.join(',')}[${labelPrefix}logo]`,
+        `[${inputLabel}][${labelPrefix}logo]overlay=x='${x}':y='${y}'${fadeIn ? ':shortest=1' : ''}[${outputLabel}]`
+    ];
+}
+
+// ==================== RENDERING ====================
+
+/**
+ * When one line of a meme text block shows and how it enters and leaves
+ * Lines enter `stagger` seconds apart - a typewriter starts each line once the one before is typed.
+ * An exit needs an end to finish by, so a block with an exit and no end leaves at the end of the video.
+ * @param {object} animation - The block's settings from meme_top_animation / meme_bottom_animation
+ * @param {string} edge - The block's own edge ('top' or 'bottom'), where it slides from by default
+ * @returns {object|null} { start, end, entrance, exit, duration, slideFrom } - end undefined = the end of
+ *                        the video; null when the line simply shows for the whole video
+ */
+function memeLineTiming(animation, edge, index, videoDuration) {
+    if (!animation) return null;
+    const settings = { ...TEXT_ANIMATION_DEFAULTS, ...animation };
+    const { entrance, exit, duration } = settings;
+    if (settings.start === 0 && settings.end === null && entrance === 'none' && exit === 'none') return null;
+
+    const lineDelay = entrance === 'none' ? 0 : entrance === 'typewriter' ? duration + settings.stagger : settings.stagger;
+    let end = settings.end !== null ? settings.end : undefined;
+    if (end === undefined && exit !== 'none' && videoDuration) {
+        end = videoDuration;
+    }
+
+    return {
+        start: settings.start + index * lineDelay,
+        end,
+        entrance,
+        exit: end !== undefined ? exit : 'none',
+        duration,
+        slideFrom: settings.slide_from || edge
+    };
+}
+
+/**
+ * Adds the top and bottom meme text to a text script, each block in its own style
+ * Top lines run down from topOffset; bottom lines stack up to bottomOffset above the bottom edge.
+ * Lines are aligned left, center or right within the template's text box, over an optional
+ * background box that fits the widest line plus the padding. Timed blocks (see memeLineTiming)
+ * animate line by line; the background box shows for the whole block, fading if the text does.
+ * @param {object} animations - { top, bottom } from meme_top_animation / meme_bottom_animation (either may be null)
+ * @param {number} duration - Of the video, for exits of blocks without an end
+ */
+function addMemeText(script, layout, topOffset, bottomOffset, animations = null, duration = null) {
+    const blocks = [
+        { name: 'Top', edge: 'top', block: layout.top, y: topOffset },
+        { name: 'Bottom', edge: 'bottom', block: layout.bottom, y: script.height - bottomOffset - layout.bottom.height }
+    ];
+
+    for (const { name, edge, block, y } of blocks) {
+        if (block.lines.length === 0) continue;
+
+        const animation = animations ? animations[edge] : null;
+        const blockTiming = memeLineTiming(animation, edge, 0, duration);
+
+        const { style } = block;
+        const font = assFont(block.fontFile, block.lines.join(' '), block.fontSize, style.letter_spacing || 0);
+        addTextStyle(script, name, font, style, { outline: block.strokeWidth });
+
+        const column = Math.max(0, TEXT_ALIGNMENTS.indexOf(style.align));
+        const boxLeft = script.width * (1 - style.max_width) / 2;
+        const x = [boxLeft, script.width / 2, script.width - boxLeft][column];
+
+        // The background goes in first so the text is drawn over it
+        if (style.background_color) {
+            const padding = Math.round((style.background_padding || 0) * layout.layoutScale);
+            const textWidth = Math.max(...block.lines.map(line => measureText(line, font)));
+            const boxWidth = Math.round(textWidth + 2 * padding);
+            const boxHeight = Math.round(block.height + 2 * padding);
+            const boxX = Math.round(x - [0, textWidth / 2, textWidth][column] - padding);
+
+            let fade = '';
+            if (blockTiming && (blockTiming.entrance === 'fade' || blockTiming.exit === 'fade')) {
+                const fadeLength = (effect) => effect === 'fade' ? Math.round(blockTiming.duration * 1000) : 0;
+                fade = `\\fad(${fadeLength(blockTiming.entrance)},${fadeLength(blockTiming.exit)})`;
+            }
+            script.events.push({
+                style: name,
+                text: `{\\an7\\pos(${boxX},${Math.round(y - padding)})\\bord0\\shad0${assFillTags(style.background_color)}${fade}\\p1}` +
+                    `m 0 0 l ${boxWidth} 0 ${boxWidth} ${boxHeight} 0 ${boxHeight}{\\p0}`,
+                start: blockTiming ? blockTiming.start : undefined,
+                end: blockTiming ? blockTiming.end : undefined
+            });
+        }
+
+        block.lines.forEach((line, index) => addTextLine(script, name, line, font, {
+            x,
+            y: y + (index * block.lineHeight),
+            alignment: 7 + column
+        }, { gradient: style.gradient, timing: memeLineTiming(animation, edge, index, duration) }));
+        if (blockTiming) {
+            const { start, end, entrance, exit } = blockTiming;
+            console.log(`⏱️  ${name} text: ${start}s to ${end !== undefined ? `${end}s` : 'the end'}, ${entrance} in, ${exit} out`);
+        }
+    }
+}
+
+function logTextLayout({ top, bottom }) {
+    for (const [name, block] of [['Top', top], ['Bottom', bottom]]) {
+        if (block.lines.length > 0) {
+            const { style } = block;
+            const extras = [
+                style.gradient && `gradient ${style.gradient.join(' > ')}`,
+                style.background_color && `background ${style.background_color}`,
+                style.uppercase && 'uppercase',
+                style.letter_spacing && `spacing ${style.letter_spacing}em`
+            ].filter(Boolean);
+            console.log(`🔤 ${name} text: ${block.lines.length} line(s) at ${block.fontSize}px in ${path.basename(block.fontFile)}, ` +
+                `stroke ${block.strokeWidth}, ${style.align || 'center'}${extras.length > 0 ? `, ${extras.join(', ')}` : ''}`);
+        }
+    }
+}
+
+/**
+ * Filter steps for the "without overlay" version: meme text and captions only (no overlay, no branding)
+ * @param {object} canvas - { width, height } of the frames arriving at inputLabel
+ * @param {object} options - See renderMemeVideos, plus assPath for the text script
+ * @returns {object} { filterParts, outputLabel } - no parts (outputLabel === inputLabel) when there's nothing to draw
+ */
+async function buildTextOnlyFilters(inputLabel, labelPrefix, canvas, options) {
+    const { topText, bottomText, memeLanguage, template, captions, captionOptions, assPath } = options;
+
+    if (!topText && !bottomText && !captions) {
+        console.log('⚠️  No meme text provided - version without overlay is the plain video');
+        return { filterParts: [], outputLabel: inputLabel };
+    }
+
+    const textStyle = template.text;
+    const safeZones = template.safe_zones;
+    const { width, height } = canvas;
+
+    // Select font based on language (each block's font family applies to Latin text)
+    const languageFont = selectMemeFont(topText, bottomText, memeLanguage);
+
+    const layout = layoutMemeText(topText, bottomText, width, height, resolveTextStyles(template, options.textStyles), languageFont);
+    const topOffset = Math.round(safeZones.top * layout.layoutScale);
+    const bottomOffset = Math.round(safeZones.bottom * layout.layoutScale);
+    logTextLayout(layout);
+
+    const script = createTextScript(width, height);
+    addMemeText(script, layout, topOffset, bottomOffset, options.textAnimations, options.duration);
+
+    // Timed captions sit just above the bottom meme text
+    if (captions) {
+        addCaptions(script, captions, captionLayout(captions, width, height, memeLanguage, textStyle, layout.bottom.height, bottomOffset), textStyle, captionOptions);
+    }
+
+    const outputLabel = `${labelPrefix}vout`;
+    return { filterParts: await buildTextSteps(inputLabel, outputLabel, labelPrefix, assPath, script), outputLabel };
+}
+
+/**
+ * Filter steps for the "with overlay" version: template overlay, meme text, captions and branding
+ * @param {object} canvas - { width, height } of the frames arriving at inputLabel
+ * @param {object} options - See renderMemeVideos, plus assPath for the text script
+ * @returns {object} { filterParts, outputLabel } - no parts (outputLabel === inputLabel) when there's nothing to draw
+ */
+async function buildOverlayFilters(inputLabel, labelPrefix, canvas, options) {
+    const { topText, bottomText, projectName, memeLanguage, template, captions, captionOptions, assPath } = options;
+    const filterParts = [];
+    let currentVideoLabel = inputLabel;
+
+    if (!topText && !bottomText) {
+        console.log('⚠️  No meme text provided - adding only branding');
+    }
+
+    const textStyle = template.text;
+    const safeZones = template.safe_zones;
+    const { width, height } = canvas;
+    console.log(`🧩 Template: ${template.name}`);
+
+    // The language font is shared by all text (top, bottom and branding); the meme blocks and the
+    // branding can each swap in a font family for Latin text
+    const languageFont = selectMemeFont(topText, bottomText, memeLanguage);
+    const selectedFont = applyFontFamily(languageFont, textStyle.font_family);
+
+    const layout = layoutMemeText(topText, bottomText, width, height, resolveTextStyles(template, options.textStyles), languageFont);
+    const { layoutScale } = layout;
+    const topOffset = Math.round(safeZones.top * layoutScale);
+    logTextLayout(layout);
+
+    // Overlay image from the template (templates may have none)
+    const overlay = template.overlay && template.overlay.image ? template.overlay : null;
+    // Bottom text clearance when there's no overlay - replaced by the bar height below
+    let bottomOffset = Math.round(safeZones.bottom * layoutScale);
+
+    if (overlay) {
+        const overlayImagePath = path.join(__dirname, overlay.image);
+        console.log(`🔍 Using overlay image: ${overlayImagePath}`);
+
+        const overlayDimensions = await getImageDimensions(overlayImagePath);
+        console.log(`📐 Overlay image dimensions: ${overlayDimensions.width}x${overlayDimensions.height}`);
+
+        // Scale the overlay to the canvas width (or the template's fraction of it)
+        const overlayScale = (width * (overlay.width || 1)) / overlayDimensions.width;
+        const overlayWidth = Math.round(overlayDimensions.width * overlayScale);
+        const overlayHeight = Math.round(overlayDimensions.height * overlayScale);
+
+        // bottom_with_overlay is measured in overlay-image pixels, so it scales with the overlay
+        bottomOffset = Math.round(safeZones.bottom_with_overlay * overlayScale);
+
+        const overlayPosition = anchorPosition(
+            overlay.anchor,
+            Math.round((overlay.margin_x || 0) * layoutScale),
+            Math.round((overlay.margin_y || 0) * layoutScale),
+            { W: width, H: height, w: overlayWidth, h: overlayHeight }
+        );
+        console.log(`📍 Overlay: ${overlayWidth}x${overlayHeight} at ${overlay.anchor} (x=${overlayPosition.x}, y=${overlayPosition.y})`);
+
+        // Load overlay image as a separate source, scale it and composite it onto the video
+        const nextLabel = `${labelPrefix}v1`;
+        filterParts.push(`movie='${escapeFilterPath(overlayImagePath)}',scale=${overlayWidth}:${overlayHeight}[${labelPrefix}overlay]`);
+        filterParts.push(`[${currentVideoLabel}][${labelPrefix}overlay]overlay=${overlayPosition.x}:${overlayPosition.y}[${nextLabel}]`);
+
+        currentVideoLabel = nextLabel;
+    }
+
+    console.log(`📝 Project name for branding: ${projectName}`);
+
+    // Meme text, captions and branding all go into one text script drawn over the overlay
+    const script = createTextScript(width, height);
+
+    // Bottom text sits above the overlay bar
+    addMemeText(script, layout, topOffset, bottomOffset, options.textAnimations, options.duration);
+
+    // Timed captions sit above the bottom meme text, clear of the overlay bar
+    if (captions) {
+        addCaptions(script, captions, captionLayout(captions, width, height, memeLanguage, textStyle, layout.bottom.height, bottomOffset), textStyle, captionOptions);
+    }
+
+    // Add template branding (e.g. luna.fun/memes/<project>, or a logo)
+    const branding = resolveBranding(template, options.branding);
+    const logo = branding
+        ? await addBranding(script, { branding, projectName, fontFile: selectedFont, layoutScale, duration: options.duration, logoPath: options.logoPath })
+        : null;
+
+    const textLabel = logo ? `${labelPrefix}text` : `${labelPrefix}vout`;
+    const textSteps = await buildTextSteps(currentVideoLabel, textLabel, labelPrefix, assPath, script);
+    if (textSteps.length > 0) {
+        filterParts.push(...textSteps);
+        currentVideoLabel = textLabel;
+    }
+
+    // The logo goes on top of everything
+    if (logo) {
+        const outputLabel = `${labelPrefix}vout`;
+        filterParts.push(...buildLogoFilters(currentVideoLabel, outputLabel, labelPrefix, logo, canvas));
+        currentVideoLabel = outputLabel;
+    }
+
+    return { filterParts, outputLabel: currentVideoLabel };
+}
+
+/**
+ * Builds the audio mix: dialogue, music and (optionally) the video's own audio
+ * - each track gets its own volume; music is ducked under dialogue with a sidechain compressor
+ * - music is looped (or padded with silence) to the video length and can fade in/out
+ * - the mix is trimmed/padded to exactly the video duration, so the video is never cut short
+ * - the result is loudness-normalized (EBU R128) unless loudness_target is null
+ * The finished mix is split into `outputCount` copies, one per rendered video.
+ * @param {object} audioOptions - See AUDIO_DEFAULTS
+ * @returns {object|null} { inputs, filterParts, outputLabels } - inputs are added after the video (index 1 on),
+ *                        null when there's nothing to mix
+ */
+async function buildAudioMixFilters(videoPath, audioPath, musicPath, audioOptions, outputCount) {
+    const options = { ...AUDIO_DEFAULTS, ...audioOptions };
+    const hasAudio = !!audioPath;
+    const hasMusic = !!musicPath;
+    const keepSourceAudio = options.keep_source_audio && await hasAudioStream(videoPath);
+
+    if (!hasAudio && !hasMusic && !keepSourceAudio) {
+        return null;
+    }
+
+    const videoDuration = await getAudioDuration(videoPath);
+    console.log(`📏 Video duration: ${videoDuration}s`);
+
+    // Every track is converted to one format and padded/trimmed to exactly the video length.
+    // Finite padding matters: an endless apad stalls amix/sidechaincompress in our ffmpeg build.
+    const sampleRate = 48000;
+    const audioFormat = `aformat=sample_fmts=fltp:sample_rates=${sampleRate}:channel_layouts=stereo`;
+    const fitToVideo = `apad=whole_len=${Math.ceil(videoDuration * sampleRate)},atrim=0:${videoDuration}`;
+
+    const inputs = [];
+    const filterParts = [];
+    const mixInputs = [];
+
+    if (keepSourceAudio) {
+        filterParts.push(`[0:a]${audioFormat},volume=${options.source_volume},${fitToVideo}[source]`);
+        mixInputs.push('[source]');
+    }
+
+    const duckMusic = options.duck_music && hasAudio && hasMusic;
+
+    if (hasAudio) {
+        inputs.push(audioPath);
+        const dialogueChain = `[${inputs.length}:a]${audioFormat},volume=${options.dialogue_volume},${fitToVideo}`;
+        if (duckMusic) {
+            // Second copy of the dialogue drives the music compressor
+            filterParts.push(`${dialogueChain},asplit=2[dialogue][dialogue_key]`);
+        } else {
+            filterParts.push(`${dialogueChain}[dialogue]`);
+        }
+        mixInputs.push('[dialogue]');
+    }
+
+    if (hasMusic) {
+        inputs.push(musicPath);
+
+        const musicChain = [audioFormat];
+        const musicDuration = await getAudioDuration(musicPath);
+        if (options.music_loop && musicDuration < videoDuration) {
+            musicChain.push(`aloop=loop=-1:size=${Math.ceil(musicDuration * sampleRate)}`);
+        }
+        musicChain.push(`volume=${options.music_volume}`);
+        if (options.music_fade_in > 0) {
+            musicChain.push(`afade=t=in:st=0:d=${options.music_fade_in}`);
+        }
+        musicChain.push(fitToVideo);
+        if (options.music_fade_out > 0) {
+            const fadeStart = Math.max(0, videoDuration - options.music_fade_out);
+            musicChain.push(`afade=t=out:st=${fadeStart}:d=${options.music_fade_out}`);
+        }
+
+        if (duckMusic) {
+            filterParts.push(`[${inputs.length}:a]${musicChain.join(',')}[music_bed]`);
+            filterParts.push('[music_bed][dialogue_key]sidechaincompress=threshold=0.05:ratio=8:attack=20:release=400[music]');
+        } else {
+            filterParts.push(`[${inputs.length}:a]${musicChain.join(',')}[music]`);
+        }
+        mixInputs.push('[music]');
+    }
+
+    // amix divides every input by the input count - scale back up so volumes mean what they say
+    const finalChain = [];
+    if (mixInputs.length > 1) {
+        finalChain.push(`amix=inputs=${mixInputs.length}:duration=longest:dropout_transition=0`);
+        finalChain.push(`volume=${mixInputs.length}`);
+    } else {
+        finalChain.push('anull');
+    }
+    if (options.loudness_target !== null) {
+        finalChain.push(`loudnorm=I=${options.loudness_target}:TP=-1.5:LRA=11`);
+    }
+    // loudnorm works at 192kHz internally - bring it back to the mix format
+    finalChain.push(audioFormat);
+
+    const outputLabels = Array.from({ length: outputCount }, (_, index) => `mix${index}`);
+    finalChain.push(`asplit=${outputCount}`);
+    filterParts.push(`${mixInputs.join('')}${finalChain.join(',')}${outputLabels.map(label => `[${label}]`).join('')}`);
+
+    return { inputs, filterParts, outputLabels };
+}
+
+/**
+ * Renders every video of a job in a single ffmpeg pass
+ * The source is decoded once and split per format (reframed onto that canvas); each format is
+ * split again into the "without overlay" and "with overlay" versions, and the audio mix is built
+ * once and split across all outputs. A version with nothing to draw on the source canvas is
+ * stream-copied.
+ * @param {string} videoPath - Source video
+ * @param {Array} variants - { format, outputPathWithoutOverlay, outputPathWithOverlay } (format null = source canvas)
+ * @param {object} options - { topText, bottomText, projectName, memeLanguage, textStyles, textAnimations, template,
+ *                             captions, captionOptions, branding, logoPath, fit, dialoguePath, musicPath, audio, onProgress }
+ */
+async function renderMemeVideos(videoPath, variants, options) {
+    return new Promise(async (resolve, reject) => {
+        const textFiles = [];
+        const removeTextFiles = () => textFiles.forEach(textFile => fs.unlink(textFile, () => {}));
+
+        try {
+            console.log(`🎨 renderMemeVideos: ${variants.length} variant(s) in one pass`);
+
+            const template = options.template || loadTemplate();
+            const fit = options.fit || 'letterbox';
+            const source = await getVideoDimensions(videoPath);
+            console.log(`📐 Video dimensions: ${source.width}x${source.height}`);
+            const duration = await getAudioDuration(videoPath); // timed branding motion and text exits
+
+            // Crop fit trims bars baked into the source - detected once for every format
+            let contentArea = null;
+            if (fit === 'crop' && variants.some(variant => variant.format)) {
+                const area = await detectContentArea(videoPath);
+                if (area && (area.width < source.width || area.height < source.height)) {
+                    console.log(`✂️  Trimming baked-in bars: ${area.width}x${area.height} at ${area.x},${area.y}`);
+                    contentArea = area;
+                }
+            }
+
+            const filterParts = [];
+            const outputs = [];
+
+            if (variants.length > 1) {
+                filterParts.push(`[0:v]split=${variants.length}${variants.map((_, index) => `[src${index}]`).join('')}`);
+            }
+
+            for (const [index, variant] of variants.entries()) {
+                const prefix = `f${index}`;
+                const sourceLabel = variants.length > 1 ? `src${index}` : '0:v';
+                let baseLabel = sourceLabel;
+                let canvas = source;
+
+                if (variant.format) {
+                    canvas = FORMAT_PRESETS[variant.format];
+                    baseLabel = `${prefix}framed`;
+                    filterParts.push(buildReframeFilters(sourceLabel, baseLabel, prefix, canvas, fit, contentArea));
+                    console.log(`📐 ${variant.format}: ${canvas.width}x${canvas.height} (${fit})`);
+                }
+
+                const versions = [
+                    { key: 'without_overlay', build: buildTextOnlyFilters, outputPath: variant.outputPathWithoutOverlay },
+                    { key: 'with_overlay', build: buildOverlayFilters, outputPath: variant.outputPathWithOverlay }
+                ];
+                for (const version of versions) {
+                    version.inputLabel = `${prefix}${version.key === 'with_overlay' ? 'branded' : 'plain'}`;
+                    const assPath = path.join(TEMP_DIR, `${path.basename(version.outputPath)}.ass`);
+                    textFiles.push(assPath);
+                    version.chain = await version.build(version.inputLabel, `${prefix}${version.key === 'with_overlay' ? 'b' : 'p'}`, canvas, {
+                        ...options,
+                        template,
+                        assPath,
+                        duration
+                    });
+                    // Untouched source-canvas versions are stream-copied and need no decoded frames
+                    version.copy = !variant.format && version.chain.filterParts.length === 0;
+                }
+
+                const decoded = versions.filter(version => !version.copy);
+                if (decoded.length === 2) {
+                    filterParts.push(`[${baseLabel}]split=2${decoded.map(version => `[${version.inputLabel}]`).join('')}`);
+                } else if (decoded.length === 1) {
+                    filterParts.push(`[${baseLabel}]null[${decoded[0].inputLabel}]`);
+                }
+
+                for (const version of versions) {
+                    filterParts.push(...version.chain.filterParts);
+                    outputs.push({
+                        outputPath: version.outputPath,
+                        videoMap: version.copy ? '0:v' : `[${version.chain.outputLabel}]`,
+                        copy: version.copy
+                    });
+                }
+            }
+
+            const mix = await buildAudioMixFilters(videoPath, options.dialoguePath, options.musicPath, options.audio, outputs.length);
+
+            const command = ffmpegCommand(videoPath);
+            if (mix) {
+                mix.inputs.forEach(inputPath => command.input(inputPath));
+                filterParts.push(...mix.filterParts);
+            }
+
+            if (filterParts.length > 0) {
+                const filterComplex = filterParts.join(';');
+                console.log(`🎬 Filter complex parts: ${filterParts.length}`);
+                console.log(`🎬 Filter complex preview: ${filterComplex.substring(0, 300)}...`);
+                command.complexFilter(filterComplex);
+            }
+
+            outputs.forEach((output, index) => {
+                const videoOptions = output.copy
+                    ? ['-c:v', 'copy']
+                    : ['-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-pix_fmt', 'yuv420p'];
+                // Without a mix the source audio (if any) is carried over untouched
+                const audioOptions = mix
+                    ? ['-map', `[${mix.outputLabels[index]}]`, '-c:a', 'aac', '-b:a', '192k']
+                    : ['-map', '0:a?', '-c:a', 'copy'];
+
+                command
+                    .output(output.outputPath)
+                    .outputOptions(['-map', output.videoMap, ...videoOptions, ...audioOptions]);
+            });
+
+            command
+                .on('start', (cmd) => {
+                    console.log(`🚀 FFmpeg started (${outputs.length} outputs)`);
+                    console.log('Full command:', cmd);
+                })
+                .on('stderr', (stderrLine) => {
+                    // Log FFmpeg errors for debugging
+                    if (stderrLine.includes('Error') || stderrLine.includes('Invalid')) {
+                        console.error('FFmpeg stderr:', stderrLine);
+                    }
+                })
+                .on('progress', (progress) => {
+                    const percent = progressPercent(progress, duration);
+                    if (percent !== null) {
+                        console.log(`⏳ Progress: ${percent.toFixed(1)}%`);
+                        if (options.onProgress) options.onProgress(percent);
+                    }
+                })
+                .on('end', () => {
+                    console.log('✅ All versions rendered');
+                    removeTextFiles();
+                    resolve(outputs.map(output => output.outputPath));
+                })
+                .on('error', (err) => {
+                    console.error('❌ FFmpeg error:', err.message);
+                    removeTextFiles();
+                    reject(err);
+                })
+                .run();
+
+        } catch (err) {
+            console.error('❌ Error in renderMemeVideos:', err);
+            removeTextFiles();
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Renders one frame of one version as an image - the same filter chain renderMemeVideos uses,
+ * without encoding a video
+ * The input is seeked to the timestamp with timestamps kept (-copyts), so captions show the cue
+ * that's up at that moment.
+ * @param {object} options - See renderMemeVideos, plus:
+ *   format - FORMAT_PRESETS key, or null for the source canvas
+ *   variant - 'with_overlay' or 'without_overlay'
+ *   timestamp - Seconds into the video
+ *   quick - Render on a canvas scaled down to PREVIEW_QUICK_MAX_SIDE (layout scales with the canvas)
+ *   imageFormat - 'png' or 'jpeg'
+ */
+async function renderPreviewFrame(videoPath, outputPath, options) {
+    return new Promise(async (resolve, reject) => {
+        const assPath = path.join(TEMP_DIR, `${path.basename(outputPath)}.ass`);
+
+        try {
+            const { format, variant, timestamp, quick, imageFormat } = options;
+            console.log(`🖼️  renderPreviewFrame: ${variant} at ${timestamp}s${format ? ` (${format})` : ''}${quick ? ', quick' : ''}`);
+
+            const template = options.template || loadTemplate();
+            const fit = options.fit || 'letterbox';
+            const source = await getVideoDimensions(videoPath);
+
+            let canvas = format ? FORMAT_PRESETS[format] : source;
+            if (quick && Math.max(canvas.width, canvas.height) > PREVIEW_QUICK_MAX_SIDE) {
+                const scale = PREVIEW_QUICK_MAX_SIDE / Math.max(canvas.width, canvas.height);
+                canvas = {
+                    width: Math.round(canvas.width * scale / 2) * 2,
+                    height: Math.round(canvas.height * scale / 2) * 2
+                };
+            }
+
+            const filterParts = [];
+            let baseLabel = '0:v';
+            if (format) {
+                let contentArea = null;
+                if (fit === 'crop') {
+                    const area = await detectContentArea(videoPath);
+                    if (area && (area.width < source.width || area.height < source.height)) contentArea = area;
+                }
+                baseLabel = 'f0framed';
+                filterParts.push(buildReframeFilters('0:v', baseLabel, 'f0', canvas, fit, contentArea));
+            } else if (canvas !== source) {
+                baseLabel = 'f0framed';
+                filterParts.push(`[0:v]scale=${canvas.width}:${canvas.height}[${baseLabel}]`);
+            }
+
+            const build = variant === 'with_overlay' ? buildOverlayFilters : buildTextOnlyFilters;
+            const chain = await build(baseLabel, variant === 'with_overlay' ? 'f0b' : 'f0p', canvas, {
+                ...options,
+                template,
+                assPath,
+                duration: await getAudioDuration(videoPath)
+            });
+            filterParts.push(...chain.filterParts);
+
+            const command = ffmpegCommand(videoPath).inputOptions(['-ss', String(timestamp)]);
+            const videoMap = chain.outputLabel === '0:v' ? '0:v' : `[${chain.outputLabel}]`;
+            if (filterParts.length > 0) {
+                command.complexFilter(filterParts.join(';'));
+            }
+
+            const codecOptions = imageFormat === 'jpeg'
+                ? ['-c:v', 'mjpeg', '-q:v', quick ? '5' : '2', '-pix_fmt', 'yuvj420p']
+                : ['-c:v', 'png'];
+
+            command
+                .outputOptions(['-copyts', '-map', videoMap, '-frames:v', '1', '-an', ...codecOptions])
+                .output(outputPath)
+                .on('stderr', (stderrLine) => {
+                    if (stderrLine.includes('Error') || stderrLine.includes('Invalid')) {
+                        console.error('FFmpeg stderr:', stderrLine);
+                    }
+                })
+                .on('end', () => {
+                    fs.unlink(assPath, () => {});
+                    resolve(outputPath);
+                })
+                .on('error', (err) => {
+                    console.error('❌ FFmpeg error:', err.message);
+                    fs.unlink(assPath, () => {});
+                    reject(err);
+                })
+                .run();
+
+        } catch (err) {
+            console.error('❌ Error in renderPreviewFrame:', err);
+            fs.unlink(assPath, () => {});
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Turns a still image into a video clip, optionally with a Ken Burns pan/zoom
+ * The image is letterboxed into a 1280x720 canvas (the size the overlay is made for)
+ * @param {string} imagePath - Still image (or null for a plain black background)
+ * @param {string} outputPath - Where to write the MP4
+ * @param {number} duration - Clip length in seconds
+ * @param {string} kenBurns - One of KEN_BURNS_EFFECTS
+ * @param {function} onProgress - Called with the percent done
+ */
+async function createStillVideo(imagePath, outputPath, duration, kenBurns = 'none', onProgress = null) {
+    return new Promise((resolve, reject) => {
+        console.log(`🖼️  createStillVideo: ${duration}s, Ken Burns: ${kenBurns}`);
+
+        const width = STILL_VIDEO_WIDTH;
+        const height = STILL_VIDEO_HEIGHT;
+        const totalFrames = Math.round(duration * STILL_VIDEO_FPS);
+        const command = ffmpegCommand();
+
+        if (imagePath) {
+            command.input(imagePath).inputOptions(['-loop', '1', '-framerate', String(STILL_VIDEO_FPS)]);
+        } else {
+            command.input(`color=c=black:s=${width}x${height}:r=${STILL_VIDEO_FPS}`).inputFormat('lavfi');
+        }
+
+        let filters;
+        if (kenBurns === 'none') {
+            filters = [
+                `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+                `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`,
+                'setsar=1'
+            ];
+        } else {
+            // Work at 2x resolution so zoompan's integer crop positions don't jitter
+            const progress = `(on/${totalFrames})`;
+            const zoomExpressions = {
+                'zoom-in': { z: `1+0.2*${progress}`, x: 'iw/2-(iw/zoom/2)', y: 'ih/2-(ih/zoom/2)' },
+                'zoom-out': { z: `1.2-0.2*${progress}`, x: 'iw/2-(iw/zoom/2)', y: 'ih/2-(ih/zoom/2)' },
+                'pan-left': { z: '1.2', x: `(iw-iw/zoom)*(1-${progress})`, y: 'ih/2-(ih/zoom/2)' },
+                'pan-right': { z: '1.2', x: `(iw-iw/zoom)*${progress}`, y: 'ih/2-(ih/zoom/2)' }
+            };
+            const { z, x, y } = zoomExpressions[kenBurns];
+            filters = [
+                `scale=${width * 2}:${height * 2}:force_original_aspect_ratio=decrease`,
+                `pad=${width * 2}:${height * 2}:(ow-iw)/2:(oh-ih)/2:black`,
+                `zoompan=z='${z}':x='${x}':y='${y}':d=1:s=${width}x${height}:fps=${STILL_VIDEO_FPS}`,
+                'setsar=1'
+            ];
+        }
+
+        command
+            .videoFilters(filters)
+            .outputOptions([
+                '-t', String(duration),
+                '-c:v', 'libx264',
+                '-preset', 'fast',
+                '-crf', '18',
+                '-pix_fmt', 'yuv420p',
+                '-r', String(STILL_VIDEO_FPS)
+            ])
+            .output(outputPath)
+            .on('start', () => console.log('🚀 FFmpeg started (still video)'))
+            .on('progress', (progress) => {
+                const percent = progressPercent(progress, duration);
+                if (percent !== null) {
+                    console.log(`⏳ Still video progress: ${percent.toFixed(1)}%`);
+                    if (onProgress) onProgress(percent);
+                }
+            })
+            .on('end', () => {
+                console.log('✅ Still video created');
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('❌ FFmpeg still video error:', err.message);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+/**
+ * Stitches trimmed clips into one video at the first clip's size, STITCH_FPS and
+ * STITCH_AUDIO_RATE stereo (clips without sound get silence)
+ * A clip's `transition` leads into the next clip:
+ * - crossfade/wipe: the clips overlap - tail and head are blended (CLIP_BLEND_EXPRESSIONS), audio crossfades
+ * - fade_black: fade out, then the next clip fades in - no overlap
+ * - cut: straight concatenation
+ * @param {Array} clips - { path, start, duration, hasAudio, transition, transition_duration } in order
+ * @param {object} canvas - { width, height } every clip is letterboxed onto
+ * @param {function} onProgress - Called with the percent done
+ */
+async function stitchClips(clips, outputPath, canvas, onProgress = null) {
+    const { width, height } = canvas;
+    const filters = [];
+    const segments = [];
+
+    // Seconds shared with the next clip - transitions can't take more than half of either clip
+    const overlaps = clips.map((clip, i) => {
+        const next = clips[i + 1];
+        if (!next || clip.transition === 'cut') return 0;
+        return Math.min(clip.transition_duration, clip.duration / 2, next.duration / 2);
+    });
+
+    clips.forEach((clip, i) => {
+        const length = clip.duration;
+        const fadeIn = i > 0 && clips[i - 1].transition === 'fade_black' ? overlaps[i - 1] / 2 : 0;
+        const fadeOut = clip.transition === 'fade_black' ? overlaps[i] / 2 : 0;
+        const head = i > 0 && CLIP_BLEND_EXPRESSIONS[clips[i - 1].transition] ? overlaps[i - 1] : 0;
+        const tail = CLIP_BLEND_EXPRESSIONS[clip.transition] ? overlaps[i] : 0;
+
+        const videoSteps = [
+            `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+            `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`,
+            'setsar=1',
+            `fps=${STITCH_FPS}`,
+            'format=yuv420p',
+            'setpts=PTS-STARTPTS'
+        ];
+        const audioSteps = clip.hasAudio
+            ? [`[${i}:a]aresample=${STITCH_AUDIO_RATE}`, 'aformat=sample_fmts=fltp:channel_layouts=stereo', 'apad', `atrim=0:${length}`, 'asetpts=PTS-STARTPTS']
+            : [`anullsrc=r=${STITCH_AUDIO_RATE}:cl=stereo`, `atrim=0:${length}`];
+        if (fadeIn) {
+            videoSteps.push(`fade=t=in:st=0:d=${fadeIn}`);
+            audioSteps.push(`afade=t=in:st=0:d=${fadeIn}`);
+        }
+        if (fadeOut) {
+            videoSteps.push(`fade=t=out:st=${length - fadeOut}:d=${fadeOut}`);
+            audioSteps.push(`afade=t=out:st=${length - fadeOut}:d=${fadeOut}`);
+        }
+        filters.push(`[${i}:v]${videoSteps.join(',')}[c${i}v]`, `${audioSteps.join(',')}[c${i}a]`);
+
+        // Cut the clip into head (blended with the previous tail), body and tail (blended with the next head)
+        const pieces = [
+            head > 0 && { name: 'head', start: 0, end: head },
+            { name: 'body', start: head, end: length - tail },
+            tail > 0 && { name: 'tail', start: length - tail, end: length }
+        ].filter(Boolean);
+        if (pieces.length > 1) {
+            filters.push(`[c${i}v]split=${pieces.length}${pieces.map(piece => `[c${i}v${piece.name}]`).join('')}`);
+            filters.push(`[c${i}a]asplit=${pieces.length}${pieces.map(piece => `[c${i}a${piece.name}]`).join('')}`);
+            for (const piece of pieces) {
+                filters.push(`[c${i}v${piece.name}]trim=start=${piece.start}:end=${piece.end},setpts=PTS-STARTPTS[c${i}${piece.name}v]`);
+                filters.push(`[c${i}a${piece.name}]atrim=start=${piece.start}:end=${piece.end},asetpts=PTS-STARTPTS[c${i}${piece.name}a]`);
+            }
+        } else {
+            filters.push(`[c${i}v]null[c${i}bodyv]`, `[c${i}a]anull[c${i}bodya]`);
+        }
+
+        if (head > 0) {
+            const blend = CLIP_BLEND_EXPRESSIONS[clips[i - 1].transition](head);
+            filters.push(`[c${i - 1}tailv][c${i}headv]blend=all_expr='${blend}'[t${i}v]`);
+            filters.push(`[c${i - 1}taila][c${i}heada]acrossfade=d=${head}[t${i}a]`);
+            segments.push(`[t${i}v][t${i}a]`);
+        }
+        segments.push(`[c${i}bodyv][c${i}bodya]`);
+    });
+    filters.push(`${segments.join('')}concat=n=${segments.length}:v=1:a=1[stitchedv][stitcheda]`);
+    const totalDuration = clips.reduce((sum, clip) => sum + clip.duration, 0) -
+        overlaps.reduce((sum, overlap, i) => sum + (CLIP_BLEND_EXPRESSIONS[clips[i].transition] ? overlap : 0), 0);
+
+    return new Promise((resolve, reject) => {
+        const command = ffmpegCommand();
+        for (const clip of clips) {
+            command.input(clip.path).inputOptions(['-ss', String(clip.start), '-t', String(clip.duration)]);
+        }
+
+        command
+            .complexFilter(filters.join(';'))
+            .outputOptions([
+                '-map', '[stitchedv]',
+                '-map', '[stitcheda]',
+                '-c:v', 'libx264',
+                '-preset', 'fast',
+                '-crf', '18',
+                '-pix_fmt', 'yuv420p',
+                '-c:a', 'aac',
+                '-b:a', '192k'
+            ])
+            .output(outputPath)
+            .on('start', () => console.log(`🚀 FFmpeg started (stitching ${clips.length} clips at ${width}x${height})`))
+            .on('progress', (progress) => {
+                const percent = progressPercent(progress, totalDuration);
+                if (percent !== null) {
+                    console.log(`⏳ Stitching progress: ${percent.toFixed(1)}%`);
+                    if (onProgress) onProgress(percent);
+                }
+            })
+            .on('end', () => {
+                console.log('✅ Clips stitched');
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('❌ FFmpeg stitching error:', err.message);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+/**
+ * True when the request asks for any source edit (see SOURCE_EDIT_DEFAULTS)
+ */
+function hasSourceEdits(edits) {
+    return !!edits && (edits.trim_start > 0 || edits.trim_end !== null || edits.speed !== 1 ||
+        edits.loop_count > 1 || edits.loop_to_duration !== null || edits.reverse);
+}
+
+/**
+ * atempo steps for a speed factor - each atempo instance only takes 0.5 to 2
+ */
+function atempoChain(speed) {
+    const steps = [];
+    let remaining = speed;
+    while (remaining > 2) {
+        steps.push('atempo=2');
+        remaining /= 2;
+    }
+    while (remaining < 0.5) {
+        steps.push('atempo=0.5');
+        remaining /= 0.5;
+    }
+    steps.push(`atempo=${Number(remaining.toFixed(6))}`);
+    return steps;
+}
+
+/**
+ * Applies the source edits in order: trim, reverse, speed (pitch-corrected), then loop
+ * Trim/reverse/speed re-encode once; loops are joined with the concat demuxer (no re-encode, no frame buffering)
+ * Paths go into tempFiles before each write so the caller can always clean up
+ * @param {object} edits - SOURCE_EDIT_DEFAULTS values plus `reverse`
+ * @returns {object} { path, duration } of the edited video
+ */
+async function editSourceVideo(videoPath, filePrefix, edits, tempFiles) {
+    const sourceDuration = await getAudioDuration(videoPath);
+    const start = edits.trim_start;
+    const end = edits.trim_end === null ? sourceDuration : Math.min(edits.trim_end, sourceDuration);
+    if (start >= end) {
+        throw fetchError(`trim_start (${start}s) is past the end of the video (${sourceDuration.toFixed(2)}s)`, 422);
+    }
+    if (edits.reverse && end - start > SOURCE_REVERSE_MAX_SECONDS) {
+        throw fetchError(`reverse is limited to ${SOURCE_REVERSE_MAX_SECONDS}s of video - trim the source first`, 422);
+    }
+
+    const playDuration = (end - start) / edits.speed;
+    const repeats = edits.loop_to_duration !== null ? Math.ceil(edits.loop_to_duration / playDuration) : edits.loop_count;
+    const totalDuration = edits.loop_to_duration !== null ? edits.loop_to_duration : playDuration * repeats;
+    if (totalDuration > SOURCE_EDIT_MAX_DURATION) {
+        throw fetchError(`Edited video would run ${totalDuration.toFixed(1)}s, over the ${SOURCE_EDIT_MAX_DURATION}s limit`, 422);
+    }
+
+    let editedPath = videoPath;
+    if (start > 0 || end < sourceDuration || edits.speed !== 1 || edits.reverse) {
+        editedPath = `${filePrefix}_edited.mp4`;
+        tempFiles.push(editedPath);
+
+        const videoFilters = [];
+        const audioFilters = [];
+        if (edits.reverse) {
+            videoFilters.push('reverse');
+            audioFilters.push('areverse');
+        }
+        if (edits.speed !== 1) {
+            // Re-timed frames are resampled to a steady rate
+            videoFilters.push(`setpts=PTS/${edits.speed}`, `fps=${STITCH_FPS}`);
+            audioFilters.push(...atempoChain(edits.speed));
+        }
+
+        await new Promise((resolve, reject) => {
+            const command = ffmpegCommand(videoPath)
+                .inputOptions(['-ss', String(start), '-t', String(end - start)])
+                .outputOptions([
+                    '-map', '0:v:0',
+                    '-map', '0:a:0?',
+                    '-c:v', 'libx264',
+                    '-preset', 'fast',
+                    '-crf', '18',
+                    '-pix_fmt', 'yuv420p',
+                    '-c:a', 'aac',
+                    '-b:a', '192k'
+                ]);
+            if (videoFilters.length) command.videoFilters(videoFilters);
+            if (audioFilters.length) command.audioFilters(audioFilters);
+
+            command
+                .output(editedPath)
+                .on('start', () => console.log(`🚀 FFmpeg started (source edit ${start}s-${end.toFixed(2)}s, ${edits.speed}x${edits.reverse ? ', reversed' : ''})`))
+                .on('end', () => resolve())
+                .on('error', (err) => {
+                    console.error('❌ FFmpeg source edit error:', err.message);
+                    reject(err);
+                })
+                .run();
+        });
+    }
+
+    if (repeats > 1 || edits.loop_to_duration !== null) {
+        const listPath = `${filePrefix}_loop.txt`;
+        const loopedPath = `${filePrefix}_looped.mp4`;
+        tempFiles.push(listPath, loopedPath);
+        const entry = `file '${editedPath.replace(/'/g, "'\\''")}'\n`;
+        await fsp.writeFile(listPath, entry.repeat(repeats));
+
+        await new Promise((resolve, reject) => {
+            ffmpegCommand(listPath)
+                .inputOptions(['-f', 'concat', '-safe', '0'])
+                .outputOptions(['-c', 'copy', '-t', totalDuration.toFixed(3)])
+                .output(loopedPath)
+                .on('start', () => console.log(`🚀 FFmpeg started (looping ${repeats}x to ${totalDuration.toFixed(2)}s)`))
+                .on('end', () => resolve())
+                .on('error', (err) => {
+                    console.error('❌ FFmpeg loop error:', err.message);
+                    reject(err);
+                })
+                .run();
+        });
+        editedPath = loopedPath;
+    }
+
+    console.log(`✅ Source edited: ${totalDuration.toFixed(2)}s`);
+    return { path: editedPath, duration: totalDuration };
+}
+
+/**
+ * Finds the picture area inside any black bars baked into the source, using cropdetect
+ * Best-effort: resolves null when detection fails or finds nothing to trim
+ */
+async function detectContentArea(videoPath) {
+    return new Promise((resolve) => {
+        let detected = null;
+
+        ffmpegCommand(videoPath)
+            .outputOptions(['-t', '5', '-vf', 'cropdetect=24:2:0', '-f', 'null'])
+            .output('-')
+            .on('stderr', (stderrLine) => {
+                const match = stderrLine.match(/crop=(\d+):(\d+):(\d+):(\d+)/);
+                if (match) {
+                    const [width, height, x, y] = match.slice(1).map(Number);
+                    detected = { width, height, x, y };
+                }
+            })
+            .on('end', () => resolve(detected))
+            .on('error', (err) => {
+                console.warn('⚠️  Content detection failed, using full frame:', err.message);
+                resolve(null);
+            })
+            .run();
+    });
+}
+
+/**
+ * Filter step that re-frames a video onto a target canvas
+ * @param {object} canvas - { width, height } from FORMAT_PRESETS
+ * @param {string} fit - 'letterbox' (pad with black), 'blur' (blurred copy behind) or
+ *                       'crop' (trim baked-in bars, then fill the canvas from the center)
+ * @param {object} contentArea - Picture area inside baked-in bars (crop fit), from detectContentArea
+ */
+function buildReframeFilters(inputLabel, outputLabel, labelPrefix, canvas, fit = 'letterbox', contentArea = null) {
+    const { width, height } = canvas;
+
+    if (fit === 'blur') {
+        return [
+            `[${inputLabel}]split[${labelPrefix}bg][${labelPrefix}fg]`,
+            `[${labelPrefix}bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:5[${labelPrefix}blurred]`,
+            `[${labelPrefix}fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[${labelPrefix}fitted]`,
+            `[${labelPrefix}blurred][${labelPrefix}fitted]overlay=(W-w)/2:(H-h)/2,setsar=1[${outputLabel}]`
+        ].join(';');
+    }
+
+    if (fit === 'crop') {
+        return `[${inputLabel}]` +
+            (contentArea ? `crop=${contentArea.width}:${contentArea.height}:${contentArea.x}:${contentArea.y},` : '') +
+            `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1[${outputLabel}]`;
+    }
+
+    return `[${inputLabel}]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1[${outputLabel}]`;
+}
+
+/**
+ * Encodes a looping GIF using a generated palette (palettegen/paletteuse)
+ * @param {object} options - { fps, width, max_duration } (see GIF_DEFAULTS)
+ */
+async function encodeGif(videoPath, outputPath, options = GIF_DEFAULTS) {
+    const { fps, width, max_duration: maxDuration } = options;
+    const filterComplex = [
+        `[0:v]fps=${fps},scale=${width}:-1:flags=lanczos,split[frames][paletteframes]`,
+        '[paletteframes]palettegen=stats_mode=diff[palette]',
+        '[frames][palette]paletteuse=dither=bayer:bayer_scale=5[gif]'
+    ].join(';');
+
+    return new Promise((resolve, reject) => {
+        ffmpegCommand(videoPath)
+            .complexFilter(filterComplex)
+            .outputOptions([
+                '-map', '[gif]',
+                '-t', String(maxDuration),
+                '-loop', '0'
+            ])
+            .output(outputPath)
+            .on('start', () => console.log(`🚀 FFmpeg started (GIF ${width}px @ ${fps}fps, max ${maxDuration}s)`))
+            .on('end', () => {
+                console.log('✅ GIF encoded');
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('❌ FFmpeg GIF error:', err.message);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+/**
+ * Encodes a WebM with VP9 video and Opus audio
+ * The input is always the libx264 MP4 render, which carries no alpha, so plain yuv420p is used
+ * @param {function} onProgress - Called with the percent done
+ */
+async function encodeWebm(videoPath, outputPath, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        ffmpegCommand(videoPath)
+            .outputOptions([
+                '-map', '0:v',
+                '-map', '0:a?',
+                '-c:v', 'libvpx-vp9',
+                '-pix_fmt', 'yuv420p',
+                '-crf', '32',
+                '-b:v', '0',
+                '-row-mt', '1',
+                '-c:a', 'libopus',
+                '-b:a', '128k'
+            ])
+            .output(outputPath)
+            .on('start', () => console.log('🚀 FFmpeg started (WebM VP9/Opus)'))
+            .on('progress', (progress) => {
+                if (progress.percent) {
+                    console.log(`⏳ WebM progress: ${progress.percent.toFixed(1)}%`);
+                    if (onProgress) onProgress(progress.percent);
+                }
+            })
+            .on('end', () => {
+                console.log('✅ WebM encoded');
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                console.error('❌ FFmpeg WebM error:', err.message);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+/**
+ * Picks a poster timestamp by sampling the video a few times a second
+ * - 'scene': middle of the longest shot between scene cuts (steady, representative frame)
+ * - 'brightness': best-exposed, most colorful sample (skips fades, black and blown-out frames)
+ * Best-effort: falls back to a third of the way in when analysis fails
+ */
+async function pickPosterTimestamp(videoPath, pick, duration) {
+    const fallback = duration / 3;
+
+    return new Promise((resolve) => {
+        const samples = [];
+
+        ffmpegCommand(videoPath)
+            .outputOptions([
+                '-t', String(POSTER_ANALYSIS_MAX_SECONDS),
+                '-vf', `fps=${POSTER_ANALYSIS_FPS},scale=160:-2,select='gte(scene\\,0)',signalstats,metadata=print`,
+                '-f', 'null'
+            ])
+            .output('-')
+            .on('stderr', (stderrLine) => {
+                const frame = stderrLine.match(/pts_time:([\d.]+)/);
+                if (frame) {
+                    samples.push({ time: parseFloat(frame[1]), scene: 0, luma: 0, saturation: 0 });
+                    return;
+                }
+                const stat = stderrLine.match(/lavfi\.(scene_score|signalstats\.YAVG|signalstats\.SATAVG)=([\d.]+)/);
+                if (stat && samples.length > 0) {
+                    const key = { scene_score: 'scene', 'signalstats.YAVG': 'luma', 'signalstats.SATAVG': 'saturation' }[stat[1]];
+                    samples[samples.length - 1][key] = parseFloat(stat[2]);
+                }
+            })
+            .on('end', () => {
+                if (samples.length === 0) {
+                    resolve(fallback);
+                    return;
+                }
+                const end = Math.min(duration, POSTER_ANALYSIS_MAX_SECONDS);
+
+                if (pick === 'brightness') {
+                    // Mid-grey (video range 16-235) scores best; saturation breaks ties towards colorful frames
+                    const score = (sample) => (1 - Math.abs(sample.luma - 125) / 110) * 0.7 + Math.min(sample.saturation / 80, 1) * 0.3;
+                    const best = samples.reduce((a, b) => (score(b) > score(a) ? b : a));
+                    resolve(best.time);
+                    return;
+                }
+
+                const cuts = samples.filter(sample => sample.scene >= POSTER_SCENE_CUT_SCORE).map(sample => sample.time);
+                const bounds = [0, ...cuts, end];
+                let shotStart = 0;
+                let shotLength = 0;
+                for (let i = 1; i < bounds.length; i++) {
+                    if (bounds[i] - bounds[i - 1] > shotLength) {
+                        shotStart = bounds[i - 1];
+                        shotLength = bounds[i] - bounds[i - 1];
+                    }
+                }
+                resolve(shotStart + shotLength / 2);
+            })
+            .on('error', (err) => {
+                console.warn('⚠️  Poster frame analysis failed, using a third of the way in:', err.message);
+                resolve(fallback);
+            })
+            .run();
+    });
+}
+
+/**
+ * Grabs one frame as a PNG or JPEG (format follows the output extension)
+ */
+async function extractPoster(videoPath, outputPath, timestamp) {
+    return new Promise((resolve, reject) => {
+        ffmpegCommand(videoPath)
+            .inputOptions(['-ss', timestamp.toFixed(3)])
+            .outputOptions([
+                '-frames:v', '1',
+                '-an',
+                ...(outputPath.endsWith('.png') ? ['-c:v', 'png'] : ['-c:v', 'mjpeg', '-q:v', '2', '-pix_fmt', 'yuvj420p'])
+            ])
+            .output(outputPath)
+            .on('end', () => resolve(outputPath))
+            .on('error', (err) => {
+                console.error('❌ FFmpeg poster error:', err.message);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+/**
+ * Tiles evenly spaced frames into one contact-sheet image, row by row - for scrubbing previews
+ * Tile i shows the frame at i * interval seconds; tile height follows the video's aspect ratio
+ * @param {object} options - contact_sheet_* values from THUMBNAIL_DEFAULTS
+ * @returns {object} Sheet layout for the job result
+ */
+async function createContactSheet(videoPath, outputPath, duration, options) {
+    const frames = options.contact_sheet_frames;
+    const columns = Math.min(options.contact_sheet_columns, frames);
+    const rows = Math.ceil(frames / columns);
+    const tileWidth = Math.round(options.contact_sheet_tile_width / 2) * 2;
+    const { width, height } = await getVideoDimensions(videoPath);
+    const tileHeight = Math.max(2, Math.round(tileWidth * height / width / 2) * 2);
+    const interval = duration / frames;
+
+    return new Promise((resolve, reject) => {
+        ffmpegCommand(videoPath)
+            .outputOptions([
+                '-vf', `fps=${(1 / interval).toFixed(6)},scale=${tileWidth}:${tileHeight},setsar=1,tile=${columns}x${rows}`,
+                '-frames:v', '1',
+                '-an',
+                ...(outputPath.endsWith('.png') ? ['-c:v', 'png'] : ['-c:v', 'mjpeg', '-q:v', '3', '-pix_fmt', 'yuvj420p'])
+            ])
+            .output(outputPath)
+            .on('start', () => console.log(`🚀 FFmpeg started (contact sheet ${columns}x${rows} of ${tileWidth}x${tileHeight})`))
+            .on('end', () => resolve({
+                frames,
+                columns,
+                rows,
+                tile_width: tileWidth,
+                interval: Number(interval.toFixed(3))
+            }))
+            .on('error', (err) => {
+                console.error('❌ FFmpeg contact sheet error:', err.message);
+                reject(err);
+            })
+            .run();
+    });
+}
+
+/**
+ * Writes a poster (and optional contact sheet) for both versions of every rendered variant
+ * The poster time is chosen once from the source so every image shows the same moment
+ * Adds poster/contact_sheet links to each variant's downloads
+ * @param {object} options - Thumbnail settings (see THUMBNAIL_DEFAULTS)
+ * @returns {object} { files, info } - images written and the summary for the job result
+ */
+async function createThumbnails(sourcePath, variants, options) {
+    const duration = await getAudioDuration(sourcePath);
+    const lastFrameTime = Math.max(0, duration - 0.1);
+    let timestamp = options.timestamp;
+    let pickedBy = 'timestamp';
+
+    if (timestamp === null || timestamp === undefined) {
+        timestamp = await pickPosterTimestamp(sourcePath, options.pick, duration);
+        pickedBy = options.pick;
+    } else if (timestamp > lastFrameTime) {
+        console.warn(`⚠️  Poster timestamp ${timestamp}s is past the end - using ${lastFrameTime.toFixed(2)}s`);
+    }
+    timestamp = Math.min(timestamp, lastFrameTime);
+    console.log(`🖼️  Poster frame at ${timestamp.toFixed(2)}s (${pickedBy})`);
+
+    const extension = options.image_format === 'png' ? 'png' : 'jpg';
+    const files = [];
+    let contactSheet = null;
+
+    for (const variant of variants) {
+        variant.downloads.poster = {};
+        if (options.contact_sheet_frames > 0) {
+            variant.downloads.contact_sheet = {};
+        }
+
+        for (const [key, mp4Path] of [['without_overlay', variant.outputPathWithoutOverlay], ['with_overlay', variant.outputPathWithOverlay]]) {
+            const posterPath = mp4Path.replace(/\.mp4$/, `_poster.${extension}`);
+            files.push(posterPath);
+            await extractPoster(mp4Path, posterPath, timestamp);
+            variant.downloads.poster[key] = `/download/${path.basename(posterPath)}`;
+
+            if (options.contact_sheet_frames > 0) {
+                const sheetPath = mp4Path.replace(/\.mp4$/, `_contact_sheet.${extension}`);
+                files.push(sheetPath);
+                contactSheet = await createContactSheet(mp4Path, sheetPath, duration, options);
+                variant.downloads.contact_sheet[key] = `/download/${path.basename(sheetPath)}`;
+            }
+        }
+    }
+
+    console.log(`✅ Thumbnails created: ${files.length} image(s)`);
+    return {
+        files,
+        info: {
+            poster_timestamp: Number(timestamp.toFixed(3)),
+            picked_by: pickedBy,
+            contact_sheet: contactSheet
+        }
+    };
+}
+
+// ==================== JOB STORE & QUEUE ====================
+
+// Every job lives in this Map and is mirrored to JOBS_DIR/<id>.json so it survives restarts
+// (finished ones until the sweeper prunes them, JOB_RETENTION_SECONDS after their last update)
+const jobs = new Map();
+const pendingJobIds = [];
+let activeJobCount = 0;
+
+// Jobs in any other status were interrupted and get re-queued on startup
+const FINISHED_STATUSES = ['done', 'failed', 'stitched', 'cancelled'];
+
+// Cancellation state of every running job - { controller, commands, cancelled }
+// The job's async work reaches its own state through jobContext (ffmpegCommand, downloadFile)
+const jobContext = new AsyncLocalStorage();
+const runningJobs = new Map();
+
+// Unfinished jobs per API key name, for the concurrent job quota (a batch is one job, its items aren't counted)
+const activeJobsByOwner = new Map();
+
+function countActiveJob(job, delta) {
+    if (!job.owner || job.batch_id) return;
+    const count = (activeJobsByOwner.get(job.owner) || 0) + delta;
+    if (count > 0) {
+        activeJobsByOwner.set(job.owner, count);
+    } else {
+        activeJobsByOwner.delete(job.owner);
+    }
+}
+
+function jobFilePath(id) {
+    return path.join(JOBS_DIR, `${id}.json`);
+}
+
+/**
+ * Writes a job record to disk
+ * Goes through a temp file + rename so a crash never leaves a half-written record
+ */
+function saveJob(job) {
+    job.updated_at = new Date().toISOString();
+    const filePath = jobFilePath(job.id);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(job, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function createJob(type, fields = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: uuidv4(),
+        type,
+        status: 'queued',
+        stages: { queued: now },
+        created_at: now,
+        ...fields
+    };
+    jobs.set(job.id, job);
+    countActiveJob(job, 1);
+    saveJob(job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Moves a job to a new status and records the time it entered that stage
+ * Watchers of /api/jobs/:id/events get a `stage` event, and the closing event once the job finishes
+ * @param {object} job - Job record
+ * @param {string} status - 'queued', 'downloading', 'stitching', 'editing', 'rendering', 'encoding',
+ *                          'packaging' (batches), 'storing', then 'done' (or 'stitched' for tweet jobs),
+ *                          'failed' or 'cancelled'
+ * @param {object} fields - Extra fields to merge into the record
+ */
+function setJobStage(job, status, fields = {}) {
+    // Every stage change is a checkpoint - a cancelled job stops before starting the next stage
+    if (!FINISHED_STATUSES.includes(status) && isJobCancelled(job)) {
+        throw new Error(`Job ${job.id} was stopped`);
+    }
+
+    if (FINISHED_STATUSES.includes(status) && !FINISHED_STATUSES.includes(job.status)) {
+        countActiveJob(job, -1);
+    }
+    job.status = status;
+    job.stages = { ...job.stages, [status]: new Date().toISOString() };
+    job.progress = null;
+    Object.assign(job, fields);
+    saveJob(job);
+    console.log(`📌 Job ${job.id}: ${status}`);
+
+    publishJobEvent(job, 'stage', { status, at: job.stages[status] });
+    if (FINISHED_STATUSES.includes(status)) {
+        const [event, data] = finalJobEvent(job);
+        publishJobEvent(job, event, data);
+        for (const res of jobEventStreams.get(job.id) || []) res.end();
+        jobEventStreams.delete(job.id);
+
+        if (job.batch_id) advanceBatch(job.batch_id);
+    }
+}
+
+/**
+ * Records what the current stage is working on and streams it to watchers
+ * Kept in memory only - the record is saved with the next stage change
+ * @param {string} step - Part of the stage in progress (e.g. 'render source, 9:16', 'gif 9:16 with_overlay')
+ * @param {number|null} percent - ffmpeg progress, when known
+ */
+function reportJobProgress(job, step, percent = null) {
+    job.progress = {
+        step,
+        percent: typeof percent === 'number' ? Number(Math.min(100, Math.max(0, percent)).toFixed(1)) : null
+    };
+    publishJobEvent(job, 'progress', { status: job.status, ...job.progress });
+}
+
+function enqueueJob(job) {
+    pendingJobIds.push(job.id);
+    console.log(`📥 Job ${job.id} queued (${pendingJobIds.length} waiting, ${activeJobCount}/${JOB_CONCURRENCY} running)`);
+    pumpJobQueue();
+}
+
+function pumpJobQueue() {
+    while (activeJobCount < JOB_CONCURRENCY && pendingJobIds.length > 0) {
+        const job = getJob(pendingJobIds.shift());
+        if (!job) continue;
+
+        activeJobCount++;
+        runJob(job).finally(() => {
+            activeJobCount--;
+            pumpJobQueue();
+        });
+    }
+}
+
+async function runJob(job) {
+    const context = createJobContext();
+    runningJobs.set(job.id, context);
+    const timeout = JOB_TIMEOUT_SECONDS > 0
+        ? setTimeout(() => stopRunningJob(job.id, 'timeout'), JOB_TIMEOUT_SECONDS * 1000)
+        : null;
+
+    try {
+        const handler = JOB_HANDLERS[job.type];
+        if (!handler) {
+            throw new Error(`Unknown job type: ${job.type}`);
+        }
+        await jobContext.run(context, () => handler(job));
+    } catch (err) {
+        if (context.cancelled === 'cancelled') {
+            console.log(`🛑 Job ${job.id} cancelled`);
+            setJobStage(job, 'cancelled', { error: 'Job cancelled' });
+        } else if (context.cancelled === 'timeout') {
+            console.error(`❌ Job ${job.id} timed out after ${JOB_TIMEOUT_SECONDS}s`);
+            setJobStage(job, 'failed', { error: `Job timed out after ${JOB_TIMEOUT_SECONDS}s`, status_code: 504 });
+        } else {
+            console.error(`❌ Job ${job.id} failed:`, err.message);
+            // Fetch problems carry the HTTP status they map to (e.g. 422 for a non-media asset)
+            setJobStage(job, 'failed', { error: err.message, status_code: err.statusCode || 500 });
+        }
+    } finally {
+        clearTimeout(timeout);
+        runningJobs.delete(job.id);
+    }
+
+    notifyCallback(job);
+}
+
+function isJobCancelled(job) {
+    const context = runningJobs.get(job.id);
+    return !!(context && context.cancelled);
+}
+
+/**
+ * Stops a running job: aborts its downloads and kills its ffmpeg processes
+ * The job's handler then fails, its own cleanup removes partial files, and runJob records the outcome
+ * @param {string} reason - 'cancelled' (DELETE /api/jobs/:id) or 'timeout' (JOB_TIMEOUT_SECONDS)
+ * @returns {boolean} false when the job isn't running or is already stopping
+ */
+function stopRunningJob(id, reason) {
+    const context = runningJobs.get(id);
+    if (!context || context.cancelled) return false;
+
+    console.log(`🛑 Stopping job ${id} (${reason}), killing ${context.commands.size} ffmpeg process(es)`);
+    stopJobContext(context, reason);
+    return true;
+}
+
+function createJobContext() {
+    return { controller: new AbortController(), commands: new Set(), cancelled: null };
+}
+
+// Marks a job context stopped, aborts its downloads and kills its ffmpeg processes
+function stopJobContext(context, reason) {
+    context.cancelled = reason;
+    context.controller.abort();
+    for (const command of context.commands) {
+        command.kill('SIGKILL');
+    }
+}
+
+/**
+ * Cancels a job that hasn't finished
+ * A running job is stopped; anything else (queued, or a batch waiting on its items) is marked
+ * cancelled on the spot, and a batch takes its unfinished items with it.
+ * @returns {string} 'cancelled', or 'cancelling' while a running job winds down
+ */
+function cancelJob(job) {
+    if (runningJobs.has(job.id)) {
+        stopRunningJob(job.id, 'cancelled');
+        return 'cancelling';
+    }
+
+    const queuedIndex = pendingJobIds.indexOf(job.id);
+    if (queuedIndex !== -1) {
+        pendingJobIds.splice(queuedIndex, 1);
+    }
+    // Marked first, so a batch's items finishing below don't queue it up to wrap up
+    setJobStage(job, 'cancelled', { error: 'Job cancelled' });
+    if (job.type === 'batch') {
+        for (const item of job.items) {
+            const child = getJob(item.job_id);
+            if (child && !FINISHED_STATUSES.includes(child.status)) cancelJob(child);
+        }
+        removeBatchFiles(job);
+    }
+    if (job.imageFile) {
+        fs.unlink(job.imageFile, () => {}); // tweet upload waiting for its run
+    }
+    notifyCallback(job);
+    return 'cancelled';
+}
+
+/**
+ * Called whenever a batch item finishes - once every item has, the batch is queued again to wrap up
+ * (ZIP, shared file cleanup, final status). Runs of the batch itself re-check, so a missed call is harmless.
+ */
+function advanceBatch(batchId) {
+    const batch = getJob(batchId);
+    if (!batch || batch.status !== 'rendering' || pendingJobIds.includes(batch.id) || runningJobs.has(batch.id)) return;
+
+    const finished = batch.items.filter(batchItemFinished).length;
+    reportJobProgress(batch, `${finished}/${batch.items.length} items finished`, finished / batch.items.length * 100);
+    if (finished === batch.items.length) {
+        enqueueJob(batch);
+    }
+}
+
+/**
+ * Loads persisted jobs from disk and re-queues the ones a restart interrupted
+ */
+async function restoreJobs() {
+    const files = (await fsp.readdir(JOBS_DIR)).filter(file => file.endsWith('.json'));
+    const interrupted = [];
+
+    for (const file of files) {
+        try {
+            const job = JSON.parse(await fsp.readFile(path.join(JOBS_DIR, file), 'utf8'));
+            jobs.set(job.id, job);
+            if (!FINISHED_STATUSES.includes(job.status)) {
+                countActiveJob(job, 1);
+                interrupted.push(job);
+            }
+        } catch (err) {
+            console.warn(`⚠️  Skipping unreadable job file ${file}: ${err.message}`);
+        }
+    }
+
+    console.log(`📚 Restored ${jobs.size} jobs, re-queuing ${interrupted.length} interrupted`);
+
+    interrupted.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const job of interrupted) {
+        setJobStage(job, 'queued');
+        enqueueJob(job);
+    }
+
+    // Callbacks a restart cut off carry on from their next attempt
+    for (const job of jobs.values()) {
+        if (job.callback && job.callback.pending) {
+            console.log(`📨 Resuming callback for job ${job.id} after ${job.callback.attempts.length} attempts`);
+            notifyCallback(job);
+        }
+    }
+}
+
+// ==================== JOB EVENTS ====================
+
+// Open /api/jobs/:id/events responses, by job id
+const jobEventStreams = new Map();
+
+function formatJobEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Sends one Server-Sent Event to everyone watching a job
+ */
+function publishJobEvent(job, event, data) {
+    const streams = jobEventStreams.get(job.id);
+    if (!streams) return;
+    const message = formatJobEvent(event, data);
+    for (const res of streams) res.write(message);
+}
+
+/**
+ * The event that closes a job's stream - `done` with the download links, or `failed`/`cancelled` with the error
+ * @returns {Array} [event, data]
+ */
+function finalJobEvent(job) {
+    if (job.status === 'failed' || job.status === 'cancelled') {
+        return [job.status, { status: job.status, error: job.error || job.error_message, status_code: job.status_code }];
+    }
+    return ['done', presentJob(job)];
+}
+
+// ==================== WEBHOOK CALLBACKS ====================
+
+/**
+ * Builds the payload POSTed to callback_url - the same body the endpoint used to return
+ */
+function buildCallbackPayload(job) {
+    if (job.status === 'done') {
+        return presentJob(job).result;
+    }
+    return {
+        success: false,
+        error: job.status === 'cancelled' ? "Job cancelled" : "Processing failed",
+        details: job.error || job.error_message || 'Unknown error',
+        status_code: job.status_code || 500,
+        job_id: job.id
+    };
+}
+
+function signCallbackBody(timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POSTs the job outcome to its callback_url, retrying with exponential backoff
+ * Every attempt is logged and recorded on the job under `callback.attempts`; a delivery still
+ * `pending` when the server stops is picked up again by restoreJobs, backoff and all
+ */
+async function deliverCallback(job) {
+    const url = job.params.callback_url;
+    // A job queued before the secret was removed is never called back unsigned
+    if (!WEBHOOK_SECRET) {
+        console.error(`❌ Not calling back job ${job.id}: WEBHOOK_SECRET is not set`);
+        job.callback = { url, delivered: false, attempts: [], error: 'WEBHOOK_SECRET is not set' };
+        saveJob(job);
+        return;
+    }
+    const body = JSON.stringify(buildCallbackPayload(job));
+
+    if (!job.callback || !job.callback.pending) {
+        job.callback = { url, delivered: false, pending: true, attempts: [] };
+        saveJob(job);
+    }
+
+    for (let attempt = job.callback.attempts.length + 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+        const wait = job.callback.next_attempt_at ? Date.parse(job.callback.next_attempt_at) - Date.now() : 0;
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        // Signed per attempt, so a retry's timestamp is as fresh as the first one's
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Job-Id': job.id,
+            'X-Job-Status': job.status,
+            'X-Signature-Timestamp': String(timestamp),
+            'X-Signature-256': signCallbackBody(timestamp, body)
+        };
+        const attemptLog = { attempt, at: new Date().toISOString() };
+        try {
+            // Checked again on every attempt - the host lists may have changed since a restart
+            checkFetchHost(new URL(url).hostname);
+            const response = await axios.post(url, body, {
+                headers,
+                timeout: WEBHOOK_TIMEOUT_MS,
+                // Receivers are resolved like asset hosts, and a redirect can't send the POST elsewhere
+                lookup: safeLookup,
+                maxRedirects: 0,
+                // Treat any non-2xx as a failed delivery
+                validateStatus: () => true
+            });
+            attemptLog.status_code = response.status;
+
+            if (response.status >= 200 && response.status < 300) {
+                console.log(`📨 Callback delivered for job ${job.id} (attempt ${attempt}, HTTP ${response.status})`);
+                job.callback.attempts.push(attemptLog);
+                job.callback.delivered = true;
+                job.callback.pending = false;
+                delete job.callback.next_attempt_at;
+                saveJob(job);
+                return;
+            }
+            attemptLog.error = `HTTP ${response.status}`;
+        } catch (err) {
+            attemptLog.error = err.message;
+        }
+
+        console.warn(`⚠️  Callback attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS} for job ${job.id} failed: ${attemptLog.error}`);
+        job.callback.attempts.push(attemptLog);
+        const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+        job.callback.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        saveJob(job);
+    }
+
+    console.error(`❌ Giving up on callback for job ${job.id} after ${WEBHOOK_MAX_ATTEMPTS} attempts`);
+    job.callback.pending = false;
+    delete job.callback.next_attempt_at;
+    saveJob(job);
+}
+
+/**
+ * Starts callback delivery for a finished job, when it asked for one
+ * Delivery runs in the background so a slow receiver doesn't hold a worker slot
+ */
+function notifyCallback(job) {
+    // Batches come back from their first run still waiting on their items
+    if (!job.params || !job.params.callback_url || !FINISHED_STATUSES.includes(job.status)) return;
+    deliverCallback(job).catch(err => {
+        console.error(`❌ Callback delivery crashed for job ${job.id}:`, err.message);
+    });
+}
+
+// ==================== STORAGE ====================
+
+const OUTPUT_CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.gif': 'image/gif',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.zip': 'application/zip'
+};
+
+function hmacSha256(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function signDownloadKey(key, expires) {
+    return hmacSha256(DOWNLOAD_SIGNING_SECRET, `${key}:${expires}`).toString('hex');
+}
+
+/**
+ * AWS Signature V4 for a single-object S3 request (works with MinIO and other S3-compatible stores)
+ * With presignSeconds the signature goes in the query string and a GET URL is returned;
+ * otherwise { url, headers } to send the request with.
+ */
+function signS3Request(method, key, { presignSeconds = null } = {}) {
+    const endpoint = new URL(S3_ENDPOINT);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const host = S3_FORCE_PATH_STYLE ? endpoint.host : `${S3_BUCKET}.${endpoint.host}`;
+    const pathname = S3_FORCE_PATH_STYLE ? `/${S3_BUCKET}/${encodedKey}` : `/${encodedKey}`;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+    const payloadHash = 'UNSIGNED-PAYLOAD';
+
+    const query = {};
+    const headers = { host };
+    if (presignSeconds) {
+        Object.assign(query, {
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${S3_ACCESS_KEY_ID}/${scope}`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': String(presignSeconds),
+            'X-Amz-SignedHeaders': 'host'
+        });
+    } else {
+        headers['x-amz-content-sha256'] = payloadHash;
+        headers['x-amz-date'] = amzDate;
+    }
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalQuery = Object.keys(query).sort()
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(query[name])}`)
+        .join('&');
+    const canonicalRequest = [
+        method,
+        pathname,
+        canonicalQuery,
+        signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+        signedHeaders.join(';'),
+        payloadHash
+    ].join('\n');
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    let signingKey = hmacSha256(`AWS4${S3_SECRET_ACCESS_KEY}`, dateStamp);
+    for (const part of [S3_REGION, 's3', 'aws4_request']) {
+        signingKey = hmacSha256(signingKey, part);
+    }
+    const signature = hmacSha256(signingKey, stringToSign).toString('hex');
+
+    const url = `${endpoint.protocol}//${host}${pathname}`;
+    if (presignSeconds) {
+        return `${url}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    }
+    delete headers.host;
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, ` +
+        `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+    return { url, headers };
+}
+
+/**
+ * Storage backends for finished outputs. Renders always land in OUTPUT_DIR first;
+ * save() moves a file into the backend, remove() deletes it and downloadUrl() signs
+ * a link that stops working at expiresAt (ms).
+ */
+const STORAGE_BACKENDS = {
+    // Files stay in OUTPUT_DIR and are served by GET /download/:key with an HMAC-signed query
+    local: {
+        async save(filePath, key) {
+            const target = path.join(OUTPUT_DIR, key);
+            if (path.resolve(filePath) !== target) {
+                await fsp.rename(filePath, target);
+            }
+        },
+        async remove(key) {
+            await fsp.unlink(path.join(OUTPUT_DIR, key)).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        },
+        downloadUrl(key, expiresAt) {
+            const expires = Math.floor(expiresAt / 1000);
+            return `/download/${encodeURIComponent(key)}?expires=${expires}&signature=${signDownloadKey(key, expires)}`;
+        },
+        async open(key) {
+            return fs.createReadStream(path.join(OUTPUT_DIR, key));
+        }
+    },
+
+    // Files are uploaded to S3_BUCKET and handed out as presigned GET URLs
+    s3: {
+        async save(filePath, key) {
+            const { url, headers } = signS3Request('PUT', key);
+            const { size } = await fsp.stat(filePath);
+            await axios.put(url, fs.createReadStream(filePath), {
+                headers: {
+                    ...headers,
+                    'content-length': size,
+                    'content-type': OUTPUT_CONTENT_TYPES[path.extname(key)] || 'application/octet-stream'
+                },
+                maxBodyLength: Infinity,
+                maxRedirects: 0
+            });
+            await fsp.unlink(filePath);
+        },
+        async remove(key) {
+            const { url, headers } = signS3Request('DELETE', key);
+            await axios.delete(url, { headers, validateStatus: status => status < 300 || status === 404 });
+        },
+        downloadUrl(key, expiresAt) {
+            // Presigned URLs are capped at 7 days
+            const seconds = Math.min(7 * 24 * 3600, Math.max(1, Math.round((expiresAt - Date.now()) / 1000)));
+            return signS3Request('GET', key, { presignSeconds: seconds });
+        },
+        async open(key) {
+            const response = await axios.get(signS3Request('GET', key, { presignSeconds: 300 }), { responseType: 'stream' });
+            return response.data;
+        }
+    }
+};
+
+const storage = STORAGE_BACKENDS[STORAGE_BACKEND];
+if (!storage) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${STORAGE_BACKEND} (expected ${Object.keys(STORAGE_BACKENDS).join(' or ')})`);
+}
+
+/**
+ * Moves a finished job's output files into the storage backend
+ * @returns {object} Job fields recording the stored keys and when they expire
+ */
+async function storeOutputs(outputPaths) {
+    const keys = [];
+    try {
+        for (const outputPath of outputPaths) {
+            const key = path.basename(outputPath);
+            await storage.save(outputPath, key);
+            keys.push(key);
+        }
+    } catch (err) {
+        // Don't leave half a job behind in the bucket
+        for (const key of keys) {
+            await storage.remove(key).catch(() => {});
+        }
+        throw err;
+    }
+    console.log(`📦 Stored ${keys.length} outputs (${STORAGE_BACKEND})`);
+
+    return {
+        output_keys: keys,
+        expires_at: new Date(Date.now() + OUTPUT_TTL_SECONDS * 1000).toISOString()
+    };
+}
+
+// CRC-32 (IEEE) lookup table for ZIP entries
+const CRC32_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(crc, buffer) {
+    crc = ~crc;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Writes stored outputs into a ZIP archive (entries are stored, not deflated - the videos and
+ * images are compressed already). Each file is streamed from the storage backend once, so sizes
+ * and CRCs follow the data in a descriptor record.
+ * @param {string} outputPath - Where to write the archive
+ * @param {Array} entries - [{ name, key }] - path inside the archive and storage key
+ */
+async function writeZip(outputPath, entries) {
+    const handle = await fsp.open(outputPath, 'w');
+    const central = [];
+    let offset = 0;
+    const write = async (buffer) => {
+        await handle.write(buffer);
+        offset += buffer.length;
+    };
+
+    // DOS date/time for every entry
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    try {
+        for (const entry of entries) {
+            const name = Buffer.from(entry.name, 'utf8');
+            const headerOffset = offset;
+
+            // Bit 3: CRC and sizes come in the data descriptor; bit 11: UTF-8 names
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(0x0808, 6);
+            header.writeUInt16LE(0, 8);
+            header.writeUInt16LE(dosTime, 10);
+            header.writeUInt16LE(dosDate, 12);
+            header.writeUInt16LE(name.length, 26);
+            await write(header);
+            await write(name);
+
+            let crc = 0;
+            let size = 0;
+            for await (const chunk of await storage.open(entry.key)) {
+                crc = crc32(crc, chunk);
+                size += chunk.length;
+                await write(chunk);
+            }
+
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(size, 8);
+            descriptor.writeUInt32LE(size, 12);
+            await write(descriptor);
+
+            central.push({ name, crc, size, headerOffset });
+            if (offset > 0xFFFFFFFF) {
+                throw new Error('ZIP archive would exceed 4 GB');
+            }
+        }
+
+        const directoryOffset = offset;
+        for (const { name, crc, size, headerOffset } of central) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);
+            record.writeUInt16LE(20, 6);
+            record.writeUInt16LE(0x0808, 8);
+            record.writeUInt16LE(0, 10);
+            record.writeUInt16LE(dosTime, 12);
+            record.writeUInt16LE(dosDate, 14);
+            record.writeUInt32LE(crc, 16);
+            record.writeUInt32LE(size, 20);
+            record.writeUInt32LE(size, 24);
+            record.writeUInt16LE(name.length, 28);
+            record.writeUInt32LE(headerOffset, 42);
+            await write(record);
+            await write(name);
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(central.length, 8);
+        end.writeUInt16LE(central.length, 10);
+        end.writeUInt32LE(offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await write(end);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Replaces the /download/<key> paths kept in a job record with signed, expiring links
+ * Links never outlive the outputs; expired jobs have no links.
+ */
+function signDownloadLinks(value, job) {
+    if (typeof value === 'string') {
+        if (!value.startsWith('/download/')) return value;
+        if (job.expired_at) return null;
+
+        const linkExpiry = Date.now() + DOWNLOAD_LINK_TTL_SECONDS * 1000;
+        const expiresAt = job.expires_at ? Math.min(linkExpiry, Date.parse(job.expires_at)) : linkExpiry;
+        return storage.downloadUrl(decodeURIComponent(value.slice('/download/'.length)), expiresAt);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, nested]) => [name, signDownloadLinks(nested, job)]));
+    }
+    return value;
+}
+
+/**
+ * The job record as API clients see it - download paths turned into signed links
+ */
+function presentJob(job) {
+    const presented = { ...job };
+    if (job.result && job.result.downloads) {
+        presented.result = { ...job.result, downloads: signDownloadLinks(job.result.downloads, job) };
+    }
+    for (const field of ['downloads', 'final_stitch_video']) {
+        if (job[field]) presented[field] = signDownloadLinks(job[field], job);
+    }
+    // Batches report every item with its own status and links
+    if (job.type === 'batch') {
+        presented.items = job.items.map(presentBatchItem);
+        if (presented.result) presented.result = { ...presented.result, items: presented.items };
+    }
+    return presented;
+}
+
+function presentBatchItem(item) {
+    const child = getJob(item.job_id);
+    if (!child) {
+        return { ...item, status: 'pending' };
+    }
+    return {
+        ...item,
+        status: child.status,
+        error: child.error || null,
+        downloads: child.result ? signDownloadLinks(child.result.downloads, child) : null
+    };
+}
+
+async function removeStaleFiles(directory, maxAgeMs, matches) {
+    const cutoff = Date.now() - maxAgeMs;
+    const names = await fsp.readdir(directory).catch(() => []);
+    let removed = 0;
+
+    for (const name of names.filter(matches)) {
+        const filePath = path.join(directory, name);
+        try {
+            const stats = await fsp.stat(filePath);
+            if (stats.isFile() && stats.mtimeMs < cutoff) {
+                await fsp.unlink(filePath);
+                removed++;
+            }
+        } catch (err) {
+            console.warn(`⚠️  Could not sweep ${filePath}: ${err.message}`);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Deletes outputs whose TTL has passed and job records past their retention, plus files nothing
+ * tracks any more: outputs and temp files left by crashes, and stray multer uploads
+ */
+async function sweepStorage() {
+    const now = Date.now();
+    let expiredJobs = 0;
+
+    for (const job of jobs.values()) {
+        if (!job.expires_at || job.expired_at || Date.parse(job.expires_at) > now) continue;
+
+        for (const key of job.output_keys || []) {
+            await storage.remove(key).catch(err => {
+                console.warn(`⚠️  Could not remove ${key}: ${err.message}`);
+            });
+        }
+        job.expired_at = new Date().toISOString();
+        saveJob(job);
+        expiredJobs++;
+    }
+
+    // Finished records go once untouched for JOB_RETENTION_SECONDS - after their outputs expired and
+    // their callback settled; a batch's items wait for the batch record to go first
+    let prunedJobs = 0;
+    for (const job of jobs.values()) {
+        if (!FINISHED_STATUSES.includes(job.status) || (job.expires_at && !job.expired_at)) continue;
+        if ((job.callback && job.callback.pending) || (job.batch_id && jobs.has(job.batch_id))) continue;
+        if (Date.parse(job.updated_at) + JOB_RETENTION_SECONDS * 1000 > now) continue;
+
+        jobs.delete(job.id);
+        await fsp.unlink(jobFilePath(job.id)).catch(err => {
+            console.warn(`⚠️  Could not remove job record ${job.id}: ${err.message}`);
+        });
+        prunedJobs++;
+    }
+
+    const staleOutputs = await removeStaleFiles(OUTPUT_DIR, OUTPUT_TTL_SECONDS * 1000, () => true);
+    // Only names this server creates: <job uuid>_... temp files and multer's 32-hex upload names.
+    // A job or batch still in progress keeps its files however old they are (a batch's shared
+    // downloads live as long as its slowest item)
+    const liveJobIds = new Set([...jobs.values()].filter(job => !FINISHED_STATUSES.includes(job.status)).map(job => job.id));
+    const staleTempFiles = await removeStaleFiles(TEMP_DIR, TEMP_FILE_MAX_AGE_MS, name => {
+        const jobFile = name.match(/^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})_/);
+        if (jobFile) return !liveJobIds.has(jobFile[1]);
+        return /^[0-9a-f]{32}$/.test(name);
+    });
+
+    if (expiredJobs || prunedJobs || staleOutputs || staleTempFiles) {
+        console.log(`🧹 Sweeper: expired ${expiredJobs} jobs, pruned ${prunedJobs} job records, removed ${staleOutputs} stale outputs and ${staleTempFiles} temp files`);
+    }
+}
+
+function startStorageSweeper() {
+    const sweep = () => sweepStorage().catch(err => console.error('❌ Storage sweep failed:', err.message));
+    sweep();
+    setInterval(sweep, STORAGE_SWEEP_INTERVAL_MS).unref();
+}
+
+// ==================== RENDER CACHE ====================
+
+// Cached downloads and finished renders, least recently used first - mirrored to CACHE_DIR/index.json
+// Download entries: { key, kind: 'download', url, etag, last_modified, sha256, files, size, last_used }
+// Render entries:   { key, kind: 'render', job_id, result, files, size, last_used }
+const cacheEntries = new Map();
+let cacheBytes = 0;
+
+function cacheFilePath(name) {
+    return path.join(CACHE_DIR, name);
+}
+
+function saveCacheIndex() {
+    const indexPath = cacheFilePath('index.json');
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify([...cacheEntries.values()]));
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+}
+
+/**
+ * Loads the cache index on startup, dropping entries whose files are gone and files no entry owns
+ */
+async function loadRenderCache() {
+    if (CACHE_MAX_BYTES <= 0) return;
+    await fsp.mkdir(CACHE_DIR, { recursive: true });
+
+    let entries = [];
+    try {
+        entries = JSON.parse(await fsp.readFile(cacheFilePath('index.json'), 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.warn(`⚠️  Ignoring unreadable cache index: ${err.message}`);
+    }
+
+    const owned = new Set(['index.json']);
+    entries.sort((a, b) => a.last_used.localeCompare(b.last_used));
+    for (const entry of entries) {
+        const present = await Promise.all(entry.files.map(name => fsp.access(cacheFilePath(name)).then(() => true, () => false)));
+        if (!present.every(Boolean)) continue;
+        entry.files.forEach(name => owned.add(name));
+        cacheEntries.set(entry.key, entry);
+        cacheBytes += entry.size;
+    }
+    for (const name of await fsp.readdir(CACHE_DIR)) {
+        if (!owned.has(name)) await fsp.unlink(cacheFilePath(name)).catch(() => {});
+    }
+    saveCacheIndex();
+
+    console.log(`♻️  Render cache: ${cacheEntries.size} entries, ${(cacheBytes / 1024 / 1024).toFixed(1)} MB of ${(CACHE_MAX_BYTES / 1024 / 1024).toFixed(0)} MB`);
+}
+
+/**
+ * Looks an entry up and marks it most recently used
+ */
+function useCacheEntry(key) {
+    const entry = cacheEntries.get(key);
+    if (!entry) return null;
+    cacheEntries.delete(key);
+    entry.last_used = new Date().toISOString();
+    cacheEntries.set(key, entry);
+    return entry;
+}
+
+function removeCacheEntry(entry) {
+    if (cacheEntries.get(entry.key) !== entry) return;
+    cacheEntries.delete(entry.key);
+    cacheBytes -= entry.size;
+    for (const name of entry.files) {
+        fs.unlink(cacheFilePath(name), () => {});
+    }
+}
+
+/**
+ * Copies files into the cache as a new entry (replacing any entry with the same key), then evicts
+ * least recently used entries until the cache fits CACHE_MAX_BYTES again
+ * Best-effort - a cache problem is logged, never a job failure
+ * @param {Array} files - [{ path, name }] - file to copy and its name inside CACHE_DIR
+ */
+async function addCacheEntry(entry, files) {
+    if (CACHE_MAX_BYTES <= 0) return;
+    const copied = [];
+    try {
+        let size = 0;
+        for (const file of files) {
+            size += (await fsp.stat(file.path)).size;
+        }
+        if (size > CACHE_MAX_BYTES) return;
+
+        // Copies land under temp names so an entry being replaced keeps working meanwhile
+        const stamp = crypto.randomBytes(4).toString('hex');
+        for (const file of files) {
+            const name = `${file.name}.${stamp}`;
+            copied.push(name);
+            await fsp.copyFile(file.path, cacheFilePath(name));
+        }
+
+        const previous = cacheEntries.get(entry.key);
+        if (previous) removeCacheEntry(previous);
+        cacheEntries.set(entry.key, { ...entry, files: copied, size, last_used: new Date().toISOString() });
+        cacheBytes += size;
+
+        for (const oldest of cacheEntries.values()) {
+            if (cacheBytes <= CACHE_MAX_BYTES) break;
+            console.log(`♻️  Evicting cached ${oldest.kind} ${oldest.key.slice(0, 12)} (${oldest.size} bytes)`);
+            removeCacheEntry(oldest);
+        }
+        saveCacheIndex();
+    } catch (err) {
+        console.warn(`⚠️  Could not cache ${entry.kind} ${entry.key.slice(0, 12)}: ${err.message}`);
+        for (const name of copied) {
+            fs.unlink(cacheFilePath(name), () => {});
+        }
+    }
+}
+
+/**
+ * Copies an entry's files out of the cache
+ * @param {Array} destinations - target path for each of entry.files, in order
+ * @returns {boolean} false (and the entry is dropped) when its files were evicted or lost meanwhile
+ */
+async function copyFromCache(entry, destinations) {
+    try {
+        for (const [index, name] of entry.files.entries()) {
+            await fsp.copyFile(cacheFilePath(name), destinations[index]);
+        }
+        return true;
+    } catch (err) {
+        console.warn(`⚠️  Cached ${entry.kind} ${entry.key.slice(0, 12)} is unusable: ${err.message}`);
+        for (const destination of destinations) {
+            await fsp.unlink(destination).catch(() => {});
+        }
+        removeCacheEntry(entry);
+        saveCacheIndex();
+        return false;
+    }
+}
+
+function downloadCacheKey(url, kind) {
+    return crypto.createHash('sha256').update(`download\n${kind}\n${url}`).digest('hex');
+}
+
+/**
+ * The cached copy of a URL, when there is one the server can revalidate
+ */
+function lookupCachedDownload(url, kind) {
+    if (CACHE_MAX_BYTES <= 0) return null;
+    return useCacheEntry(downloadCacheKey(url, kind));
+}
+
+function cachedDownloadValidators(entry) {
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+    return headers;
+}
+
+async function restoreCachedDownload(entry, filepath) {
+    return copyFromCache(entry, [filepath]);
+}
+
+/**
+ * Keeps a finished download for next time - only when the server sent validators to revalidate it with
+ */
+async function cacheDownload(url, kind, filepath, sha256, headers) {
+    const etag = headers.etag || null;
+    const lastModified = headers['last-modified'] || null;
+    if (!etag && !lastModified) return;
+
+    const key = downloadCacheKey(url, kind);
+    await addCacheEntry(
+        { key, kind: 'download', url, etag, last_modified: lastModified, sha256 },
+        [{ path: filepath, name: `${key}_download` }]
+    );
+}
+
+/**
+ * Hash of everything that decides a meme job's outputs: the source content hashes plus every
+ * render parameter (texts, language, project, template settings, audio, formats, captions...)
+ * Asset URLs (branding.logo_url included) and the callback are left out - the same bytes from another
+ * URL render the same.
+ * @param {object} sourceHashes - { video, dialogue, music, logo } or { clips: [...], dialogue, music, logo }
+ */
+function renderCacheKey(params, sourceHashes, template) {
+    const {
+        final_stitched_video,
+        final_dialogue,
+        final_music_url,
+        clips,
+        callback_url,
+        source_files,
+        source_hashes,
+        branding,
+        ...renderParams
+    } = params;
+    // A downloaded logo is keyed by its content hash (sourceHashes.logo)
+    const { logo_url, ...brandingSettings } = branding || {};
+    const description = {
+        version: RENDER_CACHE_VERSION,
+        sources: sourceHashes,
+        clips: clips ? clips.map(({ url, ...clip }) => clip) : null,
+        params: { ...renderParams, branding: branding ? brandingSettings : null },
+        template
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(description)).digest('hex');
+}
+
+/**
+ * Copies a cached render's outputs into OUTPUT_DIR under a new job id
+ * @returns {object|null} { files, result } - output paths and the result fields, re-pointed at the new job
+ */
+async function restoreCachedRender(key, jobId) {
+    if (!key || CACHE_MAX_BYTES <= 0) return null;
+    const entry = useCacheEntry(key);
+    if (!entry) return null;
+
+    // Output names are <job id>_<suffix>; the cached result refers to the job that rendered them
+    const files = entry.files.map(name => path.join(OUTPUT_DIR, `${jobId}_${name.slice(key.length + 1).replace(/\.[0-9a-f]{8}$/, '')}`));
+    if (!await copyFromCache(entry, files)) return null;
+    saveCacheIndex();
+
+    return { files, result: JSON.parse(JSON.stringify(entry.result).split(entry.job_id).join(jobId)) };
+}
+
+async function cacheRenderOutputs(key, jobId, outputPaths, result) {
+    if (!key) return;
+    await addCacheEntry(
+        { key, kind: 'render', job_id: jobId, result },
+        outputPaths.map(outputPath => ({ path: outputPath, name: `${key}_${path.basename(outputPath).slice(jobId.length + 1)}` }))
+    );
+}
+
+/**
+ * Empties the cache, or just its 'download' or 'render' entries
+ * @returns {object} { entries, bytes } removed
+ */
+function purgeRenderCache(kind = null) {
+    let entries = 0;
+    let bytes = 0;
+    for (const entry of [...cacheEntries.values()]) {
+        if (kind && entry.kind !== kind) continue;
+        bytes += entry.size;
+        entries++;
+        removeCacheEntry(entry);
+    }
+    if (CACHE_MAX_BYTES > 0) saveCacheIndex();
+    console.log(`🧹 Purged ${entries} cache entries (${bytes} bytes)`);
+    return { entries, bytes };
+}
+
+function renderCacheStats() {
+    const stats = { entries: cacheEntries.size, bytes: cacheBytes, max_bytes: CACHE_MAX_BYTES, downloads: 0, renders: 0 };
+    for (const entry of cacheEntries.values()) {
+        stats[entry.kind === 'download' ? 'downloads' : 'renders']++;
+    }
+    return stats;
+}
+
+// ==================== AUTHENTICATION ====================
+
+const apiKeys = new Map(); // sha256 of the key -> key settings (raw keys aren't kept around)
+const jobSubmissionTimes = new Map(); // key name -> job submission timestamps within the last minute
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Loads API keys from API_KEYS_FILE (or the API_KEYS env var) - a JSON array of
+ * { key, name, projects, rate_limit_per_minute, max_concurrent_jobs, admin }
+ * `name` identifies the key in job records; `projects` lists the meme_project_name values
+ * it may brand with ("*" for any); `admin` opens the /api/admin routes.
+ */
+function loadApiKeys() {
+    const raw = process.env.API_KEYS_FILE
+        ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')
+        : (process.env.API_KEYS || '[]');
+    const entries = JSON.parse(raw);
+    if (!Array.isArray(entries)) {
+        throw new Error('API key config must be a JSON array');
+    }
+
+    const names = new Set();
+    for (const entry of entries) {
+        if (!entry || typeof entry.key !== 'string' || entry.key.length < 16 || typeof entry.name !== 'string' || !entry.name) {
+            throw new Error('Every API key needs a "key" of at least 16 characters and a "name"');
+        }
+        if (names.has(entry.name)) {
+            throw new Error(`Duplicate API key name: ${entry.name}`);
+        }
+        if (entry.projects !== undefined && !(Array.isArray(entry.projects) && entry.projects.every(project => typeof project === 'string'))) {
+            throw new Error(`API key "${entry.name}": projects must be an array of project names`);
+        }
+        names.add(entry.name);
+
+        apiKeys.set(hashApiKey(entry.key), {
+            name: entry.name,
+            projects: entry.projects || [],
+            rate_limit_per_minute: entry.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+            max_concurrent_jobs: entry.max_concurrent_jobs || DEFAULT_MAX_CONCURRENT_JOBS,
+            admin: entry.admin === true
+        });
+    }
+
+    console.log(`🔑 Loaded ${apiKeys.size} API keys`);
+}
+
+/**
+ * Express middleware: rejects requests without a known API key and sets req.apiKey
+ * (req.apiKey is null when AUTH_DISABLED is set)
+ */
+function requireApiKey(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.apiKey = null;
+        return next();
+    }
+
+    const key = req.get(API_KEY_HEADER);
+    const apiKey = key ? apiKeys.get(hashApiKey(key)) : null;
+    if (!apiKey) {
+        return res.status(401).json({ error: `Missing or invalid API key (send it in the ${API_KEY_HEADER} header)` });
+    }
+
+    req.apiKey = apiKey;
+    next();
+}
+
+/**
+ * Project binding - whether a key may brand with meme_project_name
+ * @returns {object|null} { status, error } when it may not
+ */
+function checkProjectAccess(apiKey, projectName) {
+    if (!apiKey || !projectName || apiKey.projects.includes('*') || apiKey.projects.includes(projectName)) {
+        return null;
+    }
+    return { status: 403, error: `This API key may not brand project "${projectName}"` };
+}
+
+/**
+ * Express middleware for /api/admin routes - runs after requireApiKey
+ */
+function requireAdminKey(req, res, next) {
+    if (req.apiKey && !req.apiKey.admin) {
+        return res.status(403).json({ error: 'This API key is not an admin key' });
+    }
+    next();
+}
+
+/**
+ * Decides whether a key may start another job: project binding, a sliding one-minute
+ * rate limit and the concurrent-job quota
+ * @param {number} count - Renders the submission starts, charged to the rate limit (a batch counts each
+ *                         item); the quota takes it as one job, as a batch's items run under the batch
+ * @returns {object|null} { status, error, retryAfter } when the job is refused
+ */
+function checkJobAdmission(apiKey, projectName, count = 1) {
+    if (!apiKey) return null;
+
+    const projectRefusal = checkProjectAccess(apiKey, projectName);
+    if (projectRefusal) return projectRefusal;
+
+    const now = Date.now();
+    const recent = (jobSubmissionTimes.get(apiKey.name) || []).filter(time => now - time < 60000);
+    jobSubmissionTimes.set(apiKey.name, recent);
+    if (count > apiKey.rate_limit_per_minute) {
+        return { status: 429, error: `${count} jobs is over the rate limit of ${apiKey.rate_limit_per_minute} jobs per minute` };
+    }
+    if (recent.length + count > apiKey.rate_limit_per_minute) {
+        // Retry once enough of the recent submissions have aged out of the window
+        const freedAt = recent[recent.length + count - apiKey.rate_limit_per_minute - 1];
+        return {
+            status: 429,
+            error: `Rate limit exceeded (${apiKey.rate_limit_per_minute} jobs per minute)`,
+            retryAfter: Math.ceil((freedAt + 60000 - now) / 1000)
+        };
+    }
+
+    const activeJobs = activeJobsByOwner.get(apiKey.name) || 0;
+    if (activeJobs >= apiKey.max_concurrent_jobs) {
+        return { status: 429, error: `Too many jobs in progress (limit ${apiKey.max_concurrent_jobs})` };
+    }
+
+    for (let index = 0; index < count; index++) recent.push(now);
+    return null;
+}
+
+function sendAdmissionError(res, refusal) {
+    if (refusal.retryAfter) {
+        res.set('Retry-After', String(refusal.retryAfter));
+    }
+    return res.status(refusal.status).json({ error: refusal.error });
+}
+
+/**
+ * Jobs are only visible to the key that created them
+ */
+function canSeeJob(req, job) {
+    return !req.apiKey || job.owner === req.apiKey.name;
+}
+
+// ==================== API ENDPOINTS ====================
+
+app.get("/health", (req, res) => {
+    res.json({ status: "healthy", timestamp: new Date().toISOString() });
+});
+
+/**
+ * Validates the `clips` request option - [{ url, in, out, transition, transition_duration }]
+ * Returns { values } with defaults filled in, or { error } with a message for a 400 response
+ */
+function readClips(clips) {
+    if (!Array.isArray(clips) || clips.length === 0 || clips.length > CLIP_MAX_COUNT) {
+        return { error: `clips must be an array of 1 to ${CLIP_MAX_COUNT} clips` };
+    }
+
+    const values = [];
+    const [minTransition, maxTransition] = CLIP_TRANSITION_DURATION_LIMITS;
+    for (const [index, clip] of clips.entries()) {
+        const label = `clips[${index}]`;
+        if (!clip || typeof clip.url !== 'string') {
+            return { error: `${label}.url is required` };
+        }
+        const start = clip.in === undefined || clip.in === null ? 0 : clip.in;
+        const end = clip.out === undefined ? null : clip.out;
+        if (typeof start !== 'number' || start < 0) {
+            return { error: `${label}.in must be a number of seconds (0 or more)` };
+        }
+        if (end !== null && (typeof end !== 'number' || end <= start)) {
+            return { error: `${label}.out must be a number of seconds after in` };
+        }
+        const transition = clip.transition || 'cut';
+        if (!CLIP_TRANSITIONS.includes(transition)) {
+            return { error: `${label}.transition must be one of: ${CLIP_TRANSITIONS.join(', ')}` };
+        }
+        const transitionDuration = clip.transition_duration === undefined ? CLIP_DEFAULT_TRANSITION_DURATION : clip.transition_duration;
+        if (typeof transitionDuration !== 'number' || transitionDuration < minTransition || transitionDuration > maxTransition) {
+            return { error: `${label}.transition_duration must be a number between ${minTransition} and ${maxTransition}` };
+        }
+        values.push({ url: clip.url, in: start, out: end, transition, transition_duration: transitionDuration });
+    }
+    return { values };
+}
+
+/**
+ * Reads and validates a /process-video request body (also used by /api/preview)
+ * @returns {object} { params } for the job, or { status, error } for the response
+ */
+async function readMemeRequest(body) {
+    const {
+        final_stitched_video,
+        clips,
+        final_dialogue,
+        final_music_url,
+        meme_top_text,
+        meme_bottom_text,
+        meme_top_style,
+        meme_bottom_style,
+        meme_top_animation,
+        meme_bottom_animation,
+        meme_project_name,
+        meme_language,
+        template,
+        formats,
+        fit,
+        output_formats,
+        gif_options,
+        captions,
+        caption_options,
+        thumbnail_options,
+        branding,
+        callback_url
+    } = body;
+
+    if (!final_stitched_video && clips === undefined) {
+        console.error('❌ Missing video URL');
+        return { status: 400, error: "Missing required input: final_stitched_video (or clips)" };
+    }
+    if (final_stitched_video && clips !== undefined) {
+        return { status: 400, error: "Send either final_stitched_video or clips, not both" };
+    }
+
+    // Clips are stitched into the source video before anything else happens
+    let clipList = null;
+    if (clips !== undefined) {
+        const clipSettings = readClips(clips);
+        if (clipSettings.error) {
+            return { status: 400, error: clipSettings.error };
+        }
+        clipList = clipSettings.values;
+    }
+
+    // Asset URLs are checked now (scheme, host lists, private addresses) - the download repeats the checks
+    const assetUrls = { final_stitched_video, final_dialogue, final_music_url };
+    for (const [index, clip] of (clipList || []).entries()) {
+        assetUrls[`clips[${index}].url`] = clip.url;
+    }
+    if (branding && typeof branding.logo_url === 'string') {
+        assetUrls['branding.logo_url'] = branding.logo_url;
+    }
+    for (const [field, url] of Object.entries(assetUrls)) {
+        if (!url) continue;
+        try {
+            await checkAssetUrl(url, field);
+        } catch (urlErr) {
+            return { status: urlErr.statusCode || 400, error: urlErr.message };
+        }
+    }
+
+    // The server POSTs to callback_url itself, so it gets the same host and private address checks
+    if (callback_url) {
+        if (!WEBHOOK_SECRET) {
+            return { status: 400, error: "callback_url needs WEBHOOK_SECRET to be configured on the server (callbacks are always signed)" };
+        }
+        if (typeof callback_url !== 'string') {
+            return { status: 400, error: "callback_url must be an http(s) URL" };
+        }
+        try {
+            await checkAssetUrl(callback_url, 'callback_url');
+        } catch (urlErr) {
+            return { status: urlErr.statusCode || 400, error: urlErr.message };
+        }
+    }
+
+    try {
+        loadTemplate(template);
+    } catch (templateErr) {
+        return { status: 400, error: templateErr.message };
+    }
+
+    if (formats !== undefined) {
+        const validFormats = Array.isArray(formats) && formats.every(format => FORMAT_PRESETS[format]);
+        if (!validFormats) {
+            return { status: 400, error: `formats must be an array of: ${Object.keys(FORMAT_PRESETS).join(', ')}` };
+        }
+    }
+
+    if (fit && !FIT_MODES.includes(fit)) {
+        return { status: 400, error: `fit must be one of: ${FIT_MODES.join(', ')}` };
+    }
+
+    if (output_formats !== undefined) {
+        const validOutputFormats = Array.isArray(output_formats) && output_formats.every(format => OUTPUT_FORMATS.includes(format));
+        if (!validOutputFormats) {
+            return { status: 400, error: `output_formats must be an array of: ${OUTPUT_FORMATS.join(', ')}` };
+        }
+    }
+
+    const gifSettings = readNumericOptions(gif_options, GIF_DEFAULTS, GIF_LIMITS, 'gif_options.');
+    if (gifSettings.error) {
+        return { status: 400, error: gifSettings.error };
+    }
+
+    const thumbnailSettings = readNumericOptions(thumbnail_options, THUMBNAIL_DEFAULTS, THUMBNAIL_LIMITS, 'thumbnail_options.');
+    if (thumbnailSettings.error) {
+        return { status: 400, error: thumbnailSettings.error };
+    }
+    if (thumbnail_options && thumbnail_options.pick !== undefined) {
+        if (!THUMBNAIL_PICKS.includes(thumbnail_options.pick)) {
+            return { status: 400, error: `thumbnail_options.pick must be one of: ${THUMBNAIL_PICKS.join(', ')}` };
+        }
+        thumbnailSettings.values.pick = thumbnail_options.pick;
+    }
+    if (thumbnail_options && thumbnail_options.image_format !== undefined) {
+        if (!PREVIEW_IMAGE_FORMATS[thumbnail_options.image_format]) {
+            return { status: 400, error: `thumbnail_options.image_format must be one of: ${Object.keys(PREVIEW_IMAGE_FORMATS).join(', ')}` };
+        }
+        thumbnailSettings.values.image_format = thumbnail_options.image_format;
+    }
+    for (const key of ['contact_sheet_frames', 'contact_sheet_columns', 'contact_sheet_tile_width']) {
+        thumbnailSettings.values[key] = Math.round(thumbnailSettings.values[key]);
+    }
+
+    // Branding overrides the template's placement, opacity and motion, and logo_url swaps its text for a PNG logo
+    if (branding !== undefined && branding !== null && (typeof branding !== 'object' || Array.isArray(branding))) {
+        return { status: 400, error: 'branding must be an object' };
+    }
+    const brandingSettings = readNumericOptions(branding, {}, BRANDING_LIMITS, 'branding.');
+    if (brandingSettings.error) {
+        return { status: 400, error: brandingSettings.error };
+    }
+    if (branding && branding.anchor !== undefined) {
+        if (!ANCHORS.includes(branding.anchor)) {
+            return { status: 400, error: `branding.anchor must be one of: ${ANCHORS.join(', ')}` };
+        }
+        brandingSettings.values.anchor = branding.anchor;
+    }
+    if (branding && branding.motion !== undefined) {
+        if (!BRANDING_MOTIONS.includes(branding.motion)) {
+            return { status: 400, error: `branding.motion must be one of: ${BRANDING_MOTIONS.join(', ')}` };
+        }
+        brandingSettings.values.motion = branding.motion;
+    }
+    if (branding && branding.logo_url !== undefined) {
+        if (typeof branding.logo_url !== 'string') {
+            return { status: 400, error: 'branding.logo_url must be the URL of a PNG logo' };
+        }
+        brandingSettings.values.logo_url = branding.logo_url;
+    }
+
+    // Per-block text styles override the template's text section for the top or bottom text only
+    const textStyles = {};
+    for (const [block, style] of [['top', meme_top_style], ['bottom', meme_bottom_style]]) {
+        if (style === undefined || style === null) continue;
+        if (typeof style !== 'object' || Array.isArray(style)) {
+            return { status: 400, error: `meme_${block}_style must be an object` };
+        }
+        const styleSettings = readTextStyle(style, `meme_${block}_style.`);
+        if (styleSettings.error) {
+            return { status: 400, error: styleSettings.error };
+        }
+        textStyles[block] = styleSettings.values;
+    }
+
+    // Per-block timing: when each block shows, and how its lines enter and leave
+    const textAnimations = {};
+    for (const [block, animation] of [['top', meme_top_animation], ['bottom', meme_bottom_animation]]) {
+        if (animation === undefined || animation === null) continue;
+        const label = `meme_${block}_animation.`;
+        if (typeof animation !== 'object' || Array.isArray(animation)) {
+            return { status: 400, error: `meme_${block}_animation must be an object` };
+        }
+        const animationSettings = readNumericOptions(animation, TEXT_ANIMATION_DEFAULTS, TEXT_ANIMATION_LIMITS, label);
+        if (animationSettings.error) {
+            return { status: 400, error: animationSettings.error };
+        }
+        const values = animationSettings.values;
+        if (values.end !== null && values.end <= values.start) {
+            return { status: 400, error: `${label}end must be after ${label}start` };
+        }
+        for (const key of ['entrance', 'exit']) {
+            if (animation[key] === undefined) continue;
+            if (!TEXT_ANIMATIONS.includes(animation[key])) {
+                return { status: 400, error: `${label}${key} must be one of: ${TEXT_ANIMATIONS.join(', ')}` };
+            }
+            values[key] = animation[key];
+        }
+        if (animation.slide_from !== undefined && animation.slide_from !== null) {
+            if (!TEXT_SLIDE_EDGES.includes(animation.slide_from)) {
+                return { status: 400, error: `${label}slide_from must be one of: ${TEXT_SLIDE_EDGES.join(', ')}` };
+            }
+            values.slide_from = animation.slide_from;
+        }
+        textAnimations[block] = values;
+    }
+
+    // Source edits are top-level request fields too (trim_start, speed, loop_count, ...)
+    const editSettings = readNumericOptions(body, SOURCE_EDIT_DEFAULTS, SOURCE_EDIT_LIMITS);
+    if (editSettings.error) {
+        return { status: 400, error: editSettings.error };
+    }
+    const edits = editSettings.values;
+    if (edits.trim_end !== null && edits.trim_end <= edits.trim_start) {
+        return { status: 400, error: 'trim_end must be after trim_start' };
+    }
+    if (!Number.isInteger(edits.loop_count)) {
+        return { status: 400, error: 'loop_count must be a whole number' };
+    }
+    if (edits.loop_count > 1 && edits.loop_to_duration !== null) {
+        return { status: 400, error: 'Send either loop_count or loop_to_duration, not both' };
+    }
+    if (body.reverse !== undefined && typeof body.reverse !== 'boolean') {
+        return { status: 400, error: 'reverse must be true or false' };
+    }
+    edits.reverse = body.reverse === true;
+
+    // Audio mix options are top-level request fields (dialogue_volume, music_volume, ...)
+    const audioSettings = readNumericOptions(body, AUDIO_DEFAULTS, AUDIO_LIMITS);
+    if (audioSettings.error) {
+        return { status: 400, error: audioSettings.error };
+    }
+    if (body.loudness_target === null) {
+        // Explicit null switches loudness normalization off
+        audioSettings.values.loudness_target = null;
+    }
+    for (const flag of ['duck_music', 'music_loop', 'keep_source_audio']) {
+        if (body[flag] === undefined) continue;
+        if (typeof body[flag] !== 'boolean') {
+            return { status: 400, error: `${flag} must be true or false` };
+        }
+        audioSettings.values[flag] = body[flag];
+    }
+
+    // Captions are parsed up front so bad SRT/VTT or word lists fail the request, not the job
+    const captionSettings = readNumericOptions(caption_options, CAPTION_DEFAULTS, CAPTION_LIMITS, 'caption_options.');
+    if (captionSettings.error) {
+        return { status: 400, error: captionSettings.error };
+    }
+    if (caption_options && caption_options.karaoke !== undefined) {
+        if (typeof caption_options.karaoke !== 'boolean') {
+            return { status: 400, error: 'caption_options.karaoke must be true or false' };
+        }
+        captionSettings.values.karaoke = caption_options.karaoke;
+    }
+    if (caption_options && caption_options.highlight_color !== undefined) {
+        if (typeof caption_options.highlight_color !== 'string') {
+            return { status: 400, error: 'caption_options.highlight_color must be a color string' };
+        }
+        captionSettings.values.highlight_color = caption_options.highlight_color;
+    }
+    let captionCues = null;
+    if (captions !== undefined && captions !== null) {
+        try {
+            captionCues = parseCaptions(captions, captionSettings.values.words_per_line);
+        } catch (captionErr) {
+            return { status: 400, error: captionErr.message };
+        }
+    }
+
+    return {
+        params: {
+            final_stitched_video,
+            clips: clipList,
+            source_edits: edits,
+            final_dialogue,
+            final_music_url,
+            meme_top_text,
+            meme_bottom_text,
+            meme_project_name,
+            meme_language,
+            text_styles: Object.keys(textStyles).length > 0 ? textStyles : null,
+            text_animations: Object.keys(textAnimations).length > 0 ? textAnimations : null,
+            template: template || DEFAULT_TEMPLATE,
+            formats: formats ? [...new Set(formats)] : null,
+            fit: fit || 'letterbox',
+            output_formats: output_formats ? [...new Set(output_formats)].filter(format => format !== 'mp4') : [],
+            gif_options: gifSettings.values,
+            audio: audioSettings.values,
+            captions: captionCues,
+            caption_options: captionSettings.values,
+            thumbnail_options: thumbnailSettings.values,
+            branding: Object.keys(brandingSettings.values).length > 0 ? brandingSettings.values : null,
+            callback_url
+        }
+    };
+}
+
+async function processVideoRequest(req, res) {
+    try {
+        const request = await readMemeRequest(req.body);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
+
+        const refusal = checkJobAdmission(req.apiKey, request.params.meme_project_name);
+        if (refusal) {
+            return sendAdmissionError(res, refusal);
+        }
+
+        const job = createJob('meme', {
+            owner: req.apiKey ? req.apiKey.name : null,
+            params: request.params
+        });
+        enqueueJob(job);
+
+        res.status(202).json({
+            success: true,
+            job_id: job.id,
+            status: job.status,
+            status_url: `/api/status/${job.id}`
+        });
+
+    } catch (err) {
+        console.error('❌ Failed to queue video job:', err.message);
+        res.status(500).json({
+            success: false,
+            error: "Failed to queue job",
+            details: err.message
+        });
+    }
+}
+
+// Main processing function - runs a queued 'meme' job
+async function runMemeJob(job) {
+    const startTime = Date.now();
+    console.log('\n========================================');
+    console.log('🎬 NEW VIDEO PROCESSING JOB');
     console.log('========================================');
 
+    // Everything written for this job - temp files always go, outputs only survive a successful run
+    const tempFiles = [];
+    const outputFiles = [];
+    let stored = false;
+
+    try {
+        await ensureDirectories();
+
+        const {
+            final_stitched_video,
+            clips,
+            source_edits,
+            final_dialogue,
+            final_music_url,
+            meme_top_text,
+            meme_bottom_text,
+            meme_project_name,
+            meme_language,
+            formats,
+            fit,
+            output_formats,
+            gif_options,
+            audio,
+            text_styles,
+            text_animations,
+            captions,
+            caption_options,
+            thumbnail_options,
+            branding
+        } = job.params;
+        const extraOutputFormats = output_formats || [];
+        const template = loadTemplate(job.params.template);
+
+        console.log('📋 Request parameters:');
+        console.log('   Video URL:', final_stitched_video ? '✅' : '❌');
+        console.log('   Clips:', clips ? `${clips.length} clips` : '(none)');
+        console.log('   Source edits:', hasSourceEdits(source_edits) ? JSON.stringify(source_edits) : '(none)');
+        console.log('   Audio URL:', final_dialogue ? '✅' : '❌');
+        console.log('   Music URL:', final_music_url ? '✅' : '❌');
+        console.log('   Top text:', meme_top_text || '(none)');
+        console.log('   Bottom text:', meme_bottom_text || '(none)');
+        console.log('   Project name:', meme_project_name || '(none)');
+        console.log('   Language:', meme_language || '(auto-detect)');
+        console.log('   Text styles:', text_styles ? JSON.stringify(text_styles) : '(template)');
+        console.log('   Text animations:', text_animations ? JSON.stringify(text_animations) : '(none)');
+        console.log('   Captions:', captions ? `${captions.length} cues` : '(none)');
+        console.log('   Template:', template.name);
+        console.log('   Branding:', branding ? JSON.stringify(branding) : '(template)');
+        console.log('   Formats:', formats && formats.length ? `${formats.join(', ')} (${fit})` : '(source)');
+        console.log('   Output formats:', ['mp4', ...extraOutputFormats].join(', '));
+
+        const id = job.id;
+        console.log('🆔 Job ID:', id);
+
+        // Define file paths - batch items render from the files their batch downloaded once (and leave them alone)
+        const shared = job.params.source_files || null;
+        const videoPath = shared ? shared.video : path.join(TEMP_DIR, `${id}_video.mp4`);
+        const dialoguePath = shared ? shared.dialogue : (final_dialogue ? path.join(TEMP_DIR, `${id}_dialogue.mp3`) : null);
+        const musicPath = shared ? shared.music : (final_music_url ? path.join(TEMP_DIR, `${id}_music.mp3`) : null);
+        const logoUrl = branding && branding.logo_url;
+        const logoPath = shared ? shared.logo : (logoUrl ? path.join(TEMP_DIR, `${id}_logo.png`) : null);
+        if (!shared) {
+            tempFiles.push(...[videoPath, dialoguePath, musicPath, logoPath].filter(Boolean));
+        }
+
+        // One variant per requested format, or a single one at the source aspect ratio
+        const variants = (formats && formats.length ? formats : [null]).map(format => {
+            const prefix = format ? `${id}_${format.replace(':', 'x')}` : id;
+            return {
+                format,
+                outputPathWithOverlay: path.join(OUTPUT_DIR, `${prefix}_with_overlay.mp4`),
+                outputPathWithoutOverlay: path.join(OUTPUT_DIR, `${prefix}_without_overlay.mp4`)
+            };
+        });
+        for (const variant of variants) {
+            outputFiles.push(variant.outputPathWithoutOverlay, variant.outputPathWithOverlay);
+        }
+
+        // Determine if meme text is needed
+        const needsMemeText = (meme_top_text || meme_bottom_text) ? true : false;
+        const hasAudio = !!(final_dialogue || final_music_url);
+
+        console.log('🔍 Processing Plan:');
+        console.log('   Needs meme text:', needsMemeText);
+        console.log('   Has audio:', hasAudio);
+        console.log('   Variants:', variants.length);
+
+        // Seconds spent in each stage, reported with the result
+        const stageTimings = {};
+        let stageStartTime = Date.now();
+        const endStage = (stage) => {
+            stageTimings[stage] = `${((Date.now() - stageStartTime) / 1000).toFixed(2)}s`;
+            stageStartTime = Date.now();
+        };
+
+        // Download video - content hashes of every asset go into the render cache key
+        let stitch = null;
+        const sourceHashes = shared ? job.params.source_hashes : {};
+        if (shared) {
+            console.log(`\n📂 Using the assets of batch ${job.batch_id}`);
+            await fsp.access(videoPath).catch(() => {
+                throw new Error('The batch source video is no longer available');
+            });
+        } else {
+            console.log('\n📥 Downloading assets...');
+            setJobStage(job, 'downloading');
+            if (clips) {
+                reportJobProgress(job, `${clips.length} clips`);
+                stitch = await downloadClips(clips, path.join(TEMP_DIR, id), tempFiles);
+                sourceHashes.clips = stitch.inputs.map(input => input.sha256);
+            } else {
+                reportJobProgress(job, 'video');
+                sourceHashes.video = (await downloadFile(final_stitched_video, videoPath)).sha256;
+            }
+
+            // Download audio files if provided
+            if (final_dialogue) {
+                reportJobProgress(job, 'dialogue');
+                sourceHashes.dialogue = (await downloadFile(final_dialogue, dialoguePath, 'audio')).sha256;
+            }
+            if (final_music_url) {
+                reportJobProgress(job, 'music');
+                sourceHashes.music = (await downloadFile(final_music_url, musicPath, 'audio')).sha256;
+            }
+            if (logoUrl) {
+                reportJobProgress(job, 'logo');
+                sourceHashes.logo = (await downloadFile(logoUrl, logoPath, 'image')).sha256;
+            }
+            endStage('downloading');
+        }
+
+        // An identical earlier render is copied instead of redone
+        const cacheKey = sourceHashes ? renderCacheKey(job.params, sourceHashes, template) : null;
+        const cachedRender = await restoreCachedRender(cacheKey, id);
+        if (cachedRender) {
+            console.log(`♻️  Render cache hit (${cacheKey.slice(0, 12)})`);
+            outputFiles.splice(0, outputFiles.length, ...cachedRender.files); // the cached set is the whole output
+            setJobStage(job, 'storing');
+            const storedOutputs = await storeOutputs(outputFiles);
+            stored = true;
+            endStage('storing');
+
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            setJobStage(job, 'done', {
+                result: {
+                    success: true,
+                    ...cachedRender.result,
+                    processing_time: `${duration}s`,
+                    stage_timings: stageTimings,
+                    job_id: id,
+                    cache_hit: true
+                },
+                ...storedOutputs
+            });
+            return;
+        }
+
+        // The stitched clips become the source video - text, overlay and audio mix go on top as usual
+        if (stitch) {
+            console.log(`\n🎞️  Stitching ${stitch.inputs.length} clips...`);
+            setJobStage(job, 'stitching');
+            await stitchClips(stitch.inputs, videoPath, stitch.canvas, percent => reportJobProgress(job, 'stitch', percent));
+            endStage('stitching');
+        }
+
+        // Trim/speed/reverse/loop happen before rendering, so captions and text follow the edited timeline
+        let sourcePath = videoPath;
+        if (hasSourceEdits(source_edits)) {
+            console.log('\n✂️  Editing source video...');
+            setJobStage(job, 'editing');
+            const edited = await editSourceVideo(videoPath, path.join(TEMP_DIR, id), source_edits, tempFiles);
+            sourcePath = edited.path;
+            endStage('editing');
+        }
+
+        // Both versions of every variant, with the audio mix, come out of a single ffmpeg pass
+        console.log('\n🎬 Rendering all versions...');
+        setJobStage(job, 'rendering');
+        const renderStep = `render ${variants.map(variant => variant.format || 'source').join(', ')}${hasAudio ? ' + audio mix' : ''}`;
+        await renderMemeVideos(sourcePath, variants, {
+            topText: meme_top_text,
+            bottomText: meme_bottom_text,
+            projectName: meme_project_name,
+            memeLanguage: meme_language,
+            textStyles: text_styles,
+            textAnimations: text_animations,
+            template,
+            captions,
+            captionOptions: caption_options,
+            branding,
+            logoPath,
+            fit,
+            dialoguePath,
+            musicPath,
+            audio,
+            onProgress: percent => reportJobProgress(job, renderStep, percent)
+        });
+        endStage('rendering');
+
+        for (const variant of variants) {
+            variant.downloads = {
+                without_overlay: `/download/${path.basename(variant.outputPathWithoutOverlay)}`,
+                with_overlay: `/download/${path.basename(variant.outputPathWithOverlay)}`
+            };
+        }
+
+        // Posters, contact sheets and GIF/WebM all come from the final MP4s so the layout is identical everywhere
+        setJobStage(job, 'encoding');
+        reportJobProgress(job, 'thumbnails');
+        const thumbnails = await createThumbnails(sourcePath, variants, { ...THUMBNAIL_DEFAULTS, ...thumbnail_options });
+        outputFiles.push(...thumbnails.files);
+        endStage('thumbnails');
+
+        const downloads = {};
+        for (const variant of variants) {
+            const variantDownloads = variant.downloads;
+
+            for (const outputFormat of extraOutputFormats) {
+                variantDownloads[outputFormat] = {};
+                for (const [key, mp4Path] of [['without_overlay', variant.outputPathWithoutOverlay], ['with_overlay', variant.outputPathWithOverlay]]) {
+                    const encodedPath = mp4Path.replace(/\.mp4$/, `.${outputFormat}`);
+                    const encodeStep = `${outputFormat} ${variant.format || 'source'} ${key}`;
+                    outputFiles.push(encodedPath);
+                    reportJobProgress(job, encodeStep);
+                    if (outputFormat === 'gif') {
+                        await encodeGif(mp4Path, encodedPath, gif_options || GIF_DEFAULTS);
+                    } else {
+                        await encodeWebm(mp4Path, encodedPath, percent => reportJobProgress(job, encodeStep, percent));
+                    }
+                    variantDownloads[outputFormat][key] = `/download/${path.basename(encodedPath)}`;
+                }
+            }
+
+            // Source-ratio renders keep the flat shape; format renders are keyed by format
+            if (variant.format) {
+                downloads[variant.format] = variantDownloads;
+            } else {
+                Object.assign(downloads, variantDownloads);
+            }
+        }
+        if (extraOutputFormats.length > 0) {
+            endStage('encoding');
+        }
+
+        const renderResult = {
+            message: variants.length > 1
+                ? `${variants.length * 2} videos created: ${variants.length} formats, each with and without branding/overlay`
+                : "Two videos created: one with branding/overlay and one without",
+            downloads,
+            thumbnails: thumbnails.info
+        };
+        await cacheRenderOutputs(cacheKey, id, outputFiles, renderResult);
+
+        setJobStage(job, 'storing');
+        const storedOutputs = await storeOutputs(outputFiles);
+        stored = true;
+        endStage('storing');
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`\n✅ Processing complete in ${duration}s`);
+        console.log('========================================\n');
+
+        // Store the result with every output
+        setJobStage(job, 'done', {
+            result: {
+                success: true,
+                ...renderResult,
+                processing_time: `${duration}s`,
+                stage_timings: stageTimings,
+                job_id: id,
+                cache_hit: false
+            },
+            ...storedOutputs
+        });
+
+    } catch (err) {
+        console.error('\n❌ PROCESSING FAILED');
+        console.error('Error:', err.message);
+        console.error('Stack:', err.stack);
+        console.log('========================================\n');
+        throw err;
+    } finally {
+        console.log('\n🧹 Cleaning up temporary files...');
+        const leftovers = stored ? tempFiles : [...tempFiles, ...outputFiles];
+        for (const leftover of leftovers) {
+            await fsp.unlink(leftover).catch(cleanupErr => {
+                if (cleanupErr.code !== 'ENOENT') console.warn('⚠️  Cleanup warning:', cleanupErr.message);
+            });
+        }
+    }
+}
+
+// Endpoint routes - both point to the same handler
+app.post("/process-video", requireApiKey, processVideoRequest);
+app.post("/api/combine", requireApiKey, processVideoRequest); // Backward compatibility alias
+
+// Previews rendering right now - over PREVIEW_CONCURRENCY new ones are turned away
+let activePreviewCount = 0;
+
+// Preview endpoint - one still frame of one version, rendered synchronously
+// Takes the /process-video body plus timestamp, variant, image_format, quick and format
+// (a single preset - defaults to the first of `formats`, else the source canvas)
+// Runs in its own job context: PREVIEW_TIMEOUT_SECONDS or the client hanging up stops the downloads and ffmpeg
+app.post("/api/preview", requireApiKey, async (req, res) => {
+    const startTime = Date.now();
+    const id = uuidv4();
+    const tempFiles = []; // downloads, clips, source edits and the image
+    const context = createJobContext();
+    let counted = false;
+    let timeout = null;
+
     try {
-        await ensureDirectories();
+        const request = await readMemeRequest(req.body);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
 
         const {
-            final_stitched_video,
-            final_dialogue,
-            final_music_url,
-            meme_top_text,
-            meme_bottom_text,
-            meme_project_name,
-            meme_language
+            timestamp = 0,
+            variant = 'with_overlay',
+            image_format = 'png',
+            quick = false
         } = req.body;
+        const format = req.body.format || (request.params.formats ? request.params.formats[0] : null);
 
-        console.log('📋 Request parameters:');
-        console.log('   Video URL:', final_stitched_video ? '✅' : '❌');
-        console.log('   Audio URL:', final_dialogue ? '✅' : '❌');
-        console.log('   Music URL:', final_music_url ? '✅' : '❌');
-        console.log('   Top text:', meme_top_text || '(none)');
-        console.log('   Bottom text:', meme_bottom_text || '(none)');
-        console.log('   Project name:', meme_project_name || '(none)');
-        console.log('   Language:', meme_language || '(auto-detect)');
+        if (typeof timestamp !== 'number' || !(timestamp >= 0)) {
+            return res.status(400).json({ error: 'timestamp must be a number of seconds (0 or more)' });
+        }
+        if (!PREVIEW_VARIANTS.includes(variant)) {
+            return res.status(400).json({ error: `variant must be one of: ${PREVIEW_VARIANTS.join(', ')}` });
+        }
+        if (!PREVIEW_IMAGE_FORMATS[image_format]) {
+            return res.status(400).json({ error: `image_format must be one of: ${Object.keys(PREVIEW_IMAGE_FORMATS).join(', ')}` });
+        }
+        if (typeof quick !== 'boolean') {
+            return res.status(400).json({ error: 'quick must be true or false' });
+        }
+        if (format && !FORMAT_PRESETS[format]) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMAT_PRESETS).join(', ')}` });
+        }
 
-        if (!final_stitched_video) {
-            console.error('❌ Missing video URL');
-            return res.status(400).json({ error: "Missing required input: final_stitched_video" });
+        if (activePreviewCount >= PREVIEW_CONCURRENCY) {
+            return sendAdmissionError(res, { status: 429, error: `Too many previews in progress (limit ${PREVIEW_CONCURRENCY})`, retryAfter: 5 });
+        }
+        const refusal = checkJobAdmission(req.apiKey, request.params.meme_project_name);
+        if (refusal) {
+            return sendAdmissionError(res, refusal);
         }
 
-        // Generate unique ID for this processing job
-        const id = uuidv4();
-        console.log('🆔 Job ID:', id);
+        activePreviewCount++;
+        counted = true;
+        if (PREVIEW_TIMEOUT_SECONDS > 0) {
+            timeout = setTimeout(() => stopJobContext(context, 'timeout'), PREVIEW_TIMEOUT_SECONDS * 1000);
+        }
+        res.on('close', () => {
+            if (!res.writableFinished && !context.cancelled) stopJobContext(context, 'cancelled');
+        });
 
-        // Define file paths
-        const videoPath = path.join(TEMP_DIR, `${id}_video.mp4`);
-        const dialoguePath = final_dialogue ? path.join(TEMP_DIR, `${id}_dialogue.mp3`) : null;
-        const musicPath = final_music_url ? path.join(TEMP_DIR, `${id}_music.mp3`) : null;
-        const videoWithTextPath = path.join(TEMP_DIR, `${id}_with_text.mp4`);
-        const videoWithTextNoOverlayPath = path.join(TEMP_DIR, `${id}_with_text_no_overlay.mp4`);
-        const outputPathWithOverlay = path.join(OUTPUT_DIR, `${id}_with_overlay.mp4`);
-        const outputPathWithoutOverlay = path.join(OUTPUT_DIR, `${id}_without_overlay.mp4`);
+        const params = request.params;
+        console.log(`🖼️  Preview ${id}: ${variant} at ${timestamp}s`);
+        const image = await jobContext.run(context, () => renderPreview(id, params, {
+            format, variant, timestamp, quick, image_format
+        }, tempFiles));
+        console.log(`✅ Preview ${id} rendered in ${Date.now() - startTime}ms`);
+        res.type(PREVIEW_IMAGE_FORMATS[image_format]).send(image);
 
-        // Determine if meme text is needed
-        const needsMemeText = (meme_top_text || meme_bottom_text) ? true : false;
-        
-        console.log('🔍 Processing Plan:');
-        console.log('   Needs meme text:', needsMemeText);
-        console.log('   Has audio:', !!(final_dialogue || final_music_url));
+    } catch (err) {
+        if (context.cancelled === 'timeout') {
+            console.error(`❌ Preview ${id} timed out after ${PREVIEW_TIMEOUT_SECONDS}s`);
+            res.status(504).json({ error: `Preview timed out after ${PREVIEW_TIMEOUT_SECONDS}s` });
+        } else if (context.cancelled) {
+            console.log(`🛑 Preview ${id} stopped - the client went away`);
+        } else {
+            console.error(`❌ Preview ${id} failed:`, err.message);
+            res.status(err.statusCode || 500).json({ error: err.message });
+        }
+    } finally {
+        clearTimeout(timeout);
+        if (counted) activePreviewCount--;
+        for (const filePath of tempFiles) {
+            fs.unlink(filePath, () => {});
+        }
+    }
+});
+
+/**
+ * Downloads (stitches, edits) the preview's source and renders the frame
+ * Runs inside the preview's job context so it can be stopped like a job
+ * @param {Array} tempFiles - Every file written is added here for the caller to clean up
+ * @returns {Buffer} The image
+ */
+async function renderPreview(id, params, options, tempFiles) {
+    const { format, variant, timestamp, quick, image_format } = options;
+    const videoPath = path.join(TEMP_DIR, `${id}_preview_video.mp4`);
+    tempFiles.push(videoPath);
+
+    await ensureDirectories();
+    if (params.clips) {
+        const stitch = await downloadClips(params.clips, path.join(TEMP_DIR, `${id}_preview`), tempFiles);
+        await stitchClips(stitch.inputs, videoPath, stitch.canvas);
+    } else {
+        await downloadFile(params.final_stitched_video, videoPath, 'video');
+    }
+    let sourcePath = videoPath;
+    if (hasSourceEdits(params.source_edits)) {
+        sourcePath = (await editSourceVideo(videoPath, path.join(TEMP_DIR, `${id}_preview`), params.source_edits, tempFiles)).path;
+    }
+    let logoPath = null;
+    if (params.branding && params.branding.logo_url) {
+        logoPath = path.join(TEMP_DIR, `${id}_preview_logo.png`);
+        tempFiles.push(logoPath);
+        await downloadFile(params.branding.logo_url, logoPath, 'image');
+    }
+
+    const duration = await getAudioDuration(sourcePath);
+    if (timestamp >= duration) {
+        throw fetchError(`timestamp is past the end of the video (${duration.toFixed(2)}s)`, 400);
+    }
+
+    const imagePath = path.join(TEMP_DIR, `${id}_preview.${image_format === 'jpeg' ? 'jpg' : 'png'}`);
+    tempFiles.push(imagePath);
+    await renderPreviewFrame(sourcePath, imagePath, {
+        topText: params.meme_top_text,
+        bottomText: params.meme_bottom_text,
+        projectName: params.meme_project_name,
+        memeLanguage: params.meme_language,
+        textStyles: params.text_styles,
+        textAnimations: params.text_animations,
+        template: loadTemplate(params.template),
+        captions: params.captions,
+        captionOptions: params.caption_options,
+        branding: params.branding,
+        logoPath,
+        fit: params.fit,
+        format,
+        variant,
+        timestamp,
+        quick,
+        imageFormat: image_format
+    });
+
+    return fsp.readFile(imagePath);
+}
+
+// ==================== BATCH JOBS ====================
 
-        // Download video
-        console.log('\n📥 Downloading assets...');
-        await downloadFile(final_stitched_video, videoPath);
+/**
+ * Validates the `items` of a batch request - [{ meme_top_text, meme_bottom_text, meme_language, meme_project_name }]
+ * Returns { values } with only the fields each item sets, or { error } with a message for a 400 response
+ */
+function readBatchItems(items) {
+    if (!Array.isArray(items) || items.length === 0 || items.length > BATCH_MAX_ITEMS) {
+        return { error: `items must be an array of 1 to ${BATCH_MAX_ITEMS} variants` };
+    }
 
-        // Download audio files if provided
-        if (final_dialogue) {
-            await downloadFile(final_dialogue, dialoguePath);
+    const values = [];
+    for (const [index, item] of items.entries()) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return { error: `items[${index}] must be an object` };
         }
-        if (final_music_url) {
-            await downloadFile(final_music_url, musicPath);
+        const value = {};
+        for (const field of BATCH_ITEM_FIELDS) {
+            if (item[field] === undefined || item[field] === null) continue;
+            if (typeof item[field] !== 'string') {
+                return { error: `items[${index}].${field} must be a string` };
+            }
+            value[field] = item[field];
         }
+        values.push(value);
+    }
+    return { values };
+}
 
-        // Generate both versions: with and without overlay
-        console.log('\n🎬 Generating both versions...');
-        
-        // Version 1: Without overlay - add meme text only (no overlay, no branding)
-        if (needsMemeText) {
-            console.log('📦 Creating version without overlay (with meme text)...');
-            await addMemeTextOnly(videoPath, videoWithTextNoOverlayPath, meme_top_text, meme_bottom_text, meme_language);
-            
-            if (final_dialogue || final_music_url) {
-                await mixVideo(videoWithTextNoOverlayPath, dialoguePath, musicPath, outputPathWithoutOverlay);
-            } else {
-                await fsp.copyFile(videoWithTextNoOverlayPath, outputPathWithoutOverlay);
-            }
-        } else {
-            console.log('📦 Creating version without overlay (no meme text)...');
-            if (final_dialogue || final_music_url) {
-                await mixVideo(videoPath, dialoguePath, musicPath, outputPathWithoutOverlay);
-            } else {
-                await fsp.copyFile(videoPath, outputPathWithoutOverlay);
-            }
+function batchItemFinished(item) {
+    const child = getJob(item.job_id);
+    return !child || FINISHED_STATUSES.includes(child.status);
+}
+
+function removeBatchFiles(batch) {
+    for (const filePath of Object.values(batch.shared_files || {}).filter(Boolean)) {
+        fs.unlink(filePath, () => {});
+    }
+}
+
+/**
+ * Runs a queued 'batch' job
+ * The first run downloads (stitches, edits) and probes the shared assets, then queues one 'meme'
+ * job per item that renders from those files. The batch runs again once every item has finished
+ * (see advanceBatch) to build the optional ZIP and record the outcome.
+ */
+async function runBatchJob(batch) {
+    if (batch.items.every(item => item.job_id)) {
+        if (!batch.items.every(batchItemFinished)) {
+            // Restarted while its items were still going - wait for them again
+            setJobStage(batch, 'rendering');
+            return;
         }
+        return finishBatch(batch);
+    }
 
-        // Version 2: With overlay (meme text + overlay + branding)
-        console.log('🎨 Creating version with overlay and branding...');
-        await addMemeText(videoPath, videoWithTextPath, meme_top_text, meme_bottom_text, meme_project_name, meme_language);
-        
-        if (final_dialogue || final_music_url) {
-            await mixVideo(videoWithTextPath, dialoguePath, musicPath, outputPathWithOverlay);
+    const id = batch.id;
+    const { params } = batch;
+    const filePrefix = path.join(TEMP_DIR, `${id}_batch`);
+    const files = {
+        video: `${filePrefix}_video.mp4`,
+        dialogue: params.final_dialogue ? `${filePrefix}_dialogue.mp3` : null,
+        music: params.final_music_url ? `${filePrefix}_music.mp3` : null,
+        logo: params.branding && params.branding.logo_url ? `${filePrefix}_logo.png` : null
+    };
+    const tempFiles = []; // raw source, clips and edit intermediates
+    let handedOff = false;
+
+    console.log(`\n🗂️  Batch ${id}: ${batch.items.length} items`);
+    try {
+        await ensureDirectories();
+
+        setJobStage(batch, 'downloading', { shared_files: files });
+        const videoPath = `${filePrefix}_source.mp4`;
+        tempFiles.push(videoPath);
+        let stitch = null;
+        if (params.clips) {
+            reportJobProgress(batch, `${params.clips.length} clips`);
+            stitch = await downloadClips(params.clips, filePrefix, tempFiles);
         } else {
-            await fsp.copyFile(videoWithTextPath, outputPathWithOverlay);
+            reportJobProgress(batch, 'video');
+            await downloadFile(params.final_stitched_video, videoPath);
+        }
+        const sourceHashes = {};
+        if (files.dialogue) {
+            reportJobProgress(batch, 'dialogue');
+            sourceHashes.dialogue = (await downloadFile(params.final_dialogue, files.dialogue, 'audio')).sha256;
+        }
+        if (files.music) {
+            reportJobProgress(batch, 'music');
+            sourceHashes.music = (await downloadFile(params.final_music_url, files.music, 'audio')).sha256;
+        }
+        if (files.logo) {
+            reportJobProgress(batch, 'logo');
+            sourceHashes.logo = (await downloadFile(params.branding.logo_url, files.logo, 'image')).sha256;
         }
 
-        // Clean up temporary files
-        console.log('\n🧹 Cleaning up temporary files...');
-        try {
-            await fsp.unlink(videoPath);
-            if (dialoguePath) await fsp.unlink(dialoguePath);
-            if (musicPath) await fsp.unlink(musicPath);
-            if (needsMemeText) {
-                await fsp.unlink(videoWithTextPath);
-                await fsp.unlink(videoWithTextNoOverlayPath);
+        if (stitch) {
+            setJobStage(batch, 'stitching');
+            await stitchClips(stitch.inputs, videoPath, stitch.canvas, percent => reportJobProgress(batch, 'stitch', percent));
+        }
+        let sourcePath = videoPath;
+        if (hasSourceEdits(params.source_edits)) {
+            setJobStage(batch, 'editing');
+            sourcePath = (await editSourceVideo(videoPath, filePrefix, params.source_edits, tempFiles)).path;
+        }
+        await fsp.rename(sourcePath, files.video);
+        // Items are cached by the video they actually render from - stitched and edited
+        sourceHashes.video = await hashFile(files.video);
+
+        const { width, height } = await getVideoDimensions(files.video);
+        const duration = await getAudioDuration(files.video);
+        console.log(`📐 Batch source: ${width}x${height}, ${duration.toFixed(2)}s`);
+
+        // Items are plain meme jobs on the shared files - the source is already stitched and edited,
+        // and only the batch calls back
+        const { zip, callback_url, ...itemParams } = params;
+        for (const item of batch.items) {
+            const itemFields = Object.fromEntries(BATCH_ITEM_FIELDS.filter(field => field in item).map(field => [field, item[field]]));
+            const child = createJob('meme', {
+                owner: batch.owner,
+                batch_id: id,
+                params: { ...itemParams, ...itemFields, clips: null, source_edits: null, source_files: files, source_hashes: sourceHashes }
+            });
+            item.job_id = child.id;
+        }
+        setJobStage(batch, 'rendering', { source: { width, height, duration } });
+        handedOff = true;
+        for (const item of batch.items) {
+            enqueueJob(getJob(item.job_id));
+        }
+    } finally {
+        for (const tempFile of tempFiles) {
+            fs.unlink(tempFile, () => {});
+        }
+        if (!handedOff) removeBatchFiles(batch);
+    }
+}
+
+/**
+ * Wraps up a batch whose items have all finished: ZIPs the outputs (when asked) and drops the shared files
+ */
+async function finishBatch(batch) {
+    const id = batch.id;
+    const zipPath = path.join(OUTPUT_DIR, `${id}_outputs.zip`);
+    let storedOutputs = {};
+
+    try {
+        const doneItems = batch.items.filter(item => (getJob(item.job_id) || {}).status === 'done');
+        if (batch.params.zip && doneItems.length > 0) {
+            setJobStage(batch, 'packaging');
+            // item-01/with_overlay.mp4, item-01/9x16_with_overlay_poster.jpg, ...
+            const entries = [];
+            for (const item of doneItems) {
+                const child = getJob(item.job_id);
+                const folder = `item-${String(item.index + 1).padStart(2, '0')}`;
+                for (const key of child.output_keys) {
+                    entries.push({ name: `${folder}/${key.slice(child.id.length + 1)}`, key });
+                }
             }
-        } catch (cleanupErr) {
-            console.warn('⚠️  Cleanup warning:', cleanupErr.message);
+            reportJobProgress(batch, `zip ${entries.length} files`);
+            await writeZip(zipPath, entries);
+
+            setJobStage(batch, 'storing');
+            storedOutputs = await storeOutputs([zipPath]);
         }
+    } catch (err) {
+        await fsp.unlink(zipPath).catch(() => {});
+        throw err;
+    } finally {
+        removeBatchFiles(batch);
+    }
 
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`\n✅ Processing complete in ${duration}s`);
-        console.log('========================================\n');
+    const counts = {};
+    for (const item of batch.items) {
+        const child = getJob(item.job_id);
+        const status = child ? child.status : 'missing';
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    const doneCount = counts.done || 0;
+    console.log(`✅ Batch ${id} finished: ${JSON.stringify(counts)}`);
 
-        // Prepare response with both outputs
-        const response = {
-            success: true,
-            message: "Two videos created: one with branding/overlay and one without",
-            processing_time: `${duration}s`,
+    setJobStage(batch, 'done', {
+        result: {
+            success: doneCount === batch.items.length,
+            message: `${doneCount} of ${batch.items.length} variants rendered`,
             job_id: id,
-            downloads: {
-                without_overlay: `/download/${path.basename(outputPathWithoutOverlay)}`,
-                with_overlay: `/download/${path.basename(outputPathWithOverlay)}`
+            item_counts: counts,
+            downloads: storedOutputs.output_keys ? { zip: `/download/${storedOutputs.output_keys[0]}` } : {}
+        },
+        ...storedOutputs
+    });
+}
+
+// Batch endpoint - the /process-video body (shared source, audio and options) plus `items`, one
+// text/language/project variant each, and `zip` to get every output in one archive at the end
+app.post("/api/batch", requireApiKey, async (req, res) => {
+    try {
+        const { items, zip = false } = req.body;
+        const itemSettings = readBatchItems(items);
+        if (itemSettings.error) {
+            return res.status(400).json({ error: itemSettings.error });
+        }
+        if (typeof zip !== 'boolean') {
+            return res.status(400).json({ error: 'zip must be true or false' });
+        }
+
+        const request = await readMemeRequest(req.body);
+        if (request.error) {
+            return res.status(request.status).json({ error: request.error });
+        }
+
+        for (const item of itemSettings.values) {
+            const projectRefusal = checkProjectAccess(req.apiKey, item.meme_project_name);
+            if (projectRefusal) {
+                return sendAdmissionError(res, projectRefusal);
             }
-        };
+        }
+        // Every item is a render of its own against the rate limit; the batch is one job against the quota
+        const refusal = checkJobAdmission(req.apiKey, request.params.meme_project_name, itemSettings.values.length);
+        if (refusal) {
+            return sendAdmissionError(res, refusal);
+        }
+
+        const batch = createJob('batch', {
+            owner: req.apiKey ? req.apiKey.name : null,
+            params: { ...request.params, zip },
+            items: itemSettings.values.map((item, index) => ({ index, job_id: null, ...item }))
+        });
+        enqueueJob(batch);
 
-        res.json(response);
+        res.status(202).json({
+            success: true,
+            batch_id: batch.id,
+            status: batch.status,
+            items: batch.items.length,
+            status_url: `/api/batch/${batch.id}`
+        });
 
     } catch (err) {
-        console.error('\n❌ PROCESSING FAILED');
-        console.error('Error:', err.message);
-        console.error('Stack:', err.stack);
-        console.log('========================================\n');
-        
-        res.status(500).json({ 
+        console.error('❌ Failed to queue batch:', err.message);
+        res.status(500).json({
             success: false,
-            error: "Processing failed", 
-            details: err.message 
+            error: "Failed to queue batch",
+            details: err.message
         });
     }
-}
+});
 
-// Endpoint routes - both point to the same handler
-app.post("/process-video", processVideoRequest);
-app.post("/api/combine", processVideoRequest); // Backward compatibility alias
+// Batch status - the batch record with every item's status, error and download links
+// (/api/status/:id and /api/jobs/:id/events work for batches too; DELETE /api/jobs/:id cancels every item)
+app.get("/api/batch/:id", requireApiKey, (req, res) => {
+    const batch = getJob(req.params.id);
+
+    if (!batch || batch.type !== 'batch' || !canSeeJob(req, batch)) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(presentJob(batch));
+});
 
 // ==================== FRONTEND API ENDPOINTS ====================
 
 // Configure multer for file uploads
 const upload = multer({ dest: TEMP_DIR });
 
-// Store for tracking video creation jobs
-const videoJobs = new Map();
-
 // Create video endpoint (for frontend)
-app.post("/api/create-video", upload.single('image'), async (req, res) => {
+// The key is checked before multer so unauthenticated uploads never reach the disk
+app.post("/api/create-video", requireApiKey, upload.single('image'), async (req, res) => {
+    // The upload belongs to the job once it's queued; every other way out removes it
+    let queued = false;
     try {
-        const { username, tweet, projectName } = req.body;
+        const { username, tweet, projectName, kenBurns, template } = req.body;
         const imageFile = req.file;
         const imageUrl = req.body.imageUrl;
 
@@ -923,103 +5903,338 @@ app.post("/api/create-video", upload.single('image'), async (req, res) => {
             return res.status(400).json({ error: "Username and tweet are required" });
         }
 
-        // Generate UUID for this job
-        const uuid = uuidv4();
-        
+        const duration = req.body.duration ? parseFloat(req.body.duration) : STILL_VIDEO_DEFAULT_DURATION;
+        if (!(duration > 0 && duration <= STILL_VIDEO_MAX_DURATION)) {
+            return res.status(400).json({ error: `duration must be between 0 and ${STILL_VIDEO_MAX_DURATION} seconds` });
+        }
+
+        if (kenBurns && !KEN_BURNS_EFFECTS.includes(kenBurns)) {
+            return res.status(400).json({ error: `kenBurns must be one of: ${KEN_BURNS_EFFECTS.join(', ')}` });
+        }
+
+        try {
+            loadTemplate(template);
+        } catch (templateErr) {
+            return res.status(400).json({ error: templateErr.message });
+        }
+
+        try {
+            if (imageFile) {
+                await checkMediaFile(imageFile.path, 'image', 'image');
+            } else if (imageUrl) {
+                await checkAssetUrl(imageUrl, 'imageUrl');
+            }
+        } catch (imageErr) {
+            return res.status(imageErr.statusCode || 400).json({ error: imageErr.message });
+        }
+
+        const refusal = checkJobAdmission(req.apiKey, projectName);
+        if (refusal) {
+            return sendAdmissionError(res, refusal);
+        }
+
         // Store job info
-        videoJobs.set(uuid, {
-            status: 'processing',
+        const job = createJob('tweet', {
+            owner: req.apiKey ? req.apiKey.name : null,
             username,
             tweet,
             projectName: projectName || 'default',
             imageFile: imageFile ? imageFile.path : null,
             imageUrl: imageUrl || null,
-            created_at: new Date()
+            duration,
+            kenBurns: kenBurns || 'none',
+            template: template || DEFAULT_TEMPLATE
         });
 
-        console.log(`🎬 New video job created: ${uuid}`);
-        
-        // Start processing in background
-        processVideoJob(uuid);
+        console.log(`🎬 New video job created: ${job.id}`);
+
+        // Processing happens in the job queue
+        enqueueJob(job);
+        queued = true;
 
-        res.json({ uuid, status: 'processing' });
+        res.json({ uuid: job.id, status: job.status });
     } catch (error) {
         console.error('Error creating video job:', error);
         res.status(500).json({ error: 'Failed to create video job' });
+    } finally {
+        if (!queued && req.file) {
+            await fsp.unlink(req.file.path).catch(() => {});
+        }
     }
 });
 
-// Status endpoint
-app.get("/api/status/:uuid", (req, res) => {
+// Status endpoint - reports any queued job (meme or tweet) with per-stage timestamps
+// Other keys' jobs are reported as not found rather than forbidden, so ids can't be probed
+app.get("/api/status/:uuid", requireApiKey, (req, res) => {
     const { uuid } = req.params;
-    const job = videoJobs.get(uuid);
-    
-    if (!job) {
+    const job = getJob(uuid);
+
+    if (!job || !canSeeJob(req, job)) {
         return res.status(404).json({ error: 'Job not found' });
     }
-    
-    res.json(job);
+
+    res.json(presentJob(job));
 });
 
-// Background processing function
-async function processVideoJob(uuid) {
-    try {
-        const job = videoJobs.get(uuid);
-        if (!job) return;
+// Progress stream - Server-Sent Events for one job: `stage` on every status change, `progress`
+// with the step and ffmpeg percentage, then `done` (the job with download links), `failed` or `cancelled`
+app.get("/api/jobs/:id/events", requireApiKey, (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job || !canSeeJob(req, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Late subscribers start from the current state; a finished job gets its final event straight away
+    res.write(formatJobEvent('stage', { status: job.status, at: job.stages[job.status] }));
+    if (FINISHED_STATUSES.includes(job.status)) {
+        const [event, data] = finalJobEvent(job);
+        res.write(formatJobEvent(event, data));
+        return res.end();
+    }
+    if (job.progress) {
+        res.write(formatJobEvent('progress', { status: job.status, ...job.progress }));
+    }
+
+    if (!jobEventStreams.has(job.id)) jobEventStreams.set(job.id, new Set());
+    jobEventStreams.get(job.id).add(res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), JOB_EVENTS_HEARTBEAT_MS);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = jobEventStreams.get(job.id);
+        if (!streams) return;
+        streams.delete(res);
+        if (streams.size === 0) jobEventStreams.delete(job.id);
+    });
+});
+
+// Cancel endpoint - a queued job is dropped, a running one is stopped: downloads are aborted, ffmpeg
+// is killed and the job's own cleanup removes partial files before it is marked `cancelled`
+app.delete("/api/jobs/:id", requireApiKey, (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job || !canSeeJob(req, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    if (job.status === 'storing') {
+        return res.status(409).json({ error: 'Job is already storing its outputs' });
+    }
 
+    if (cancelJob(job) === 'cancelled') {
+        return res.json({ success: true, job_id: job.id, status: job.status });
+    }
+    res.status(202).json({ success: true, job_id: job.id, status: 'cancelling', status_url: `/api/status/${job.id}` });
+});
+
+// Background processing function - runs a queued 'tweet' job
+// Builds a video from the still image, then renders the tweet and @username as meme text
+async function processVideoJob(job) {
+    const uuid = job.id;
+    const downloadedImagePath = job.imageUrl && !job.imageFile ? path.join(TEMP_DIR, `${uuid}_image`) : null;
+    const stillVideoPath = path.join(TEMP_DIR, `${uuid}_still.mp4`);
+    const outputPathWithoutOverlay = path.join(OUTPUT_DIR, `${uuid}_without_overlay.mp4`);
+    const outputPathWithOverlay = path.join(OUTPUT_DIR, `${uuid}_with_overlay.mp4`);
+    const posterFiles = [];
+    let stored = false;
+
+    try {
         console.log(`🎬 Processing video job: ${uuid}`);
-        
+
         await ensureDirectories();
-        
-        // For demo purposes, we'll create placeholder files
-        // In a real implementation, you would:
-        // 1. Process the uploaded image
-        // 2. Generate video with the image and text
-        // 3. Create both versions (with and without overlay)
-        
-        const outputPathWithoutOverlay = path.join(OUTPUT_DIR, `${uuid}_without_overlay.mp4`);
-        const outputPathWithOverlay = path.join(OUTPUT_DIR, `${uuid}_with_overlay.mp4`);
-        
-        // Create placeholder files
-        await fsp.writeFile(outputPathWithoutOverlay, '');
-        await fsp.writeFile(outputPathWithOverlay, '');
-        
+
+        let imagePath = job.imageFile;
+        if (downloadedImagePath) {
+            setJobStage(job, 'downloading');
+            await downloadFile(job.imageUrl, downloadedImagePath, 'image');
+            imagePath = downloadedImagePath;
+        }
+        if (!imagePath) {
+            console.log('⚠️  No image provided - using a plain background');
+        }
+
+        setJobStage(job, 'rendering');
+        await createStillVideo(imagePath, stillVideoPath, job.duration || STILL_VIDEO_DEFAULT_DURATION, job.kenBurns || 'none',
+            percent => reportJobProgress(job, 'still image', percent));
+
+        // Tweet goes on top, @username at the bottom - same layout as a meme
+        const handle = `@${job.username.replace(/^@/, '')}`;
         console.log(`📝 Project name for branding: ${job.projectName}`);
-        
-        // Update job status with both versions
-        job.status = 'stitched';
-        job.downloads = {
-            without_overlay: `/download/${uuid}_without_overlay.mp4`,
-            with_overlay: `/download/${uuid}_with_overlay.mp4`
+
+        const variant = { format: null, outputPathWithoutOverlay, outputPathWithOverlay };
+        await renderMemeVideos(stillVideoPath, [variant], {
+            topText: job.tweet,
+            bottomText: handle,
+            projectName: job.projectName,
+            template: loadTemplate(job.template),
+            onProgress: percent => reportJobProgress(job, 'render', percent)
+        });
+
+        variant.downloads = {
+            without_overlay: `/download/${path.basename(outputPathWithoutOverlay)}`,
+            with_overlay: `/download/${path.basename(outputPathWithOverlay)}`
         };
-        job.completed_at = new Date();
-        
+        setJobStage(job, 'encoding');
+        reportJobProgress(job, 'thumbnails');
+        const thumbnails = await createThumbnails(stillVideoPath, [variant], THUMBNAIL_DEFAULTS);
+        posterFiles.push(...thumbnails.files);
+
+        setJobStage(job, 'storing');
+        const storedOutputs = await storeOutputs([outputPathWithoutOverlay, outputPathWithOverlay, ...posterFiles]);
+        stored = true;
+
+        const downloads = variant.downloads;
+
+        // Update job status with both versions
+        setJobStage(job, 'stitched', {
+            downloads,
+            final_stitch_video: downloads.with_overlay,
+            completed_at: new Date().toISOString(),
+            ...storedOutputs
+        });
+
         console.log(`✅ Video job completed: ${uuid}`);
-        
+
     } catch (error) {
+        // A stopped job is recorded by runJob as cancelled or timed out
+        if (isJobCancelled(job)) throw error;
         console.error(`❌ Error processing video job ${uuid}:`, error);
-        const job = videoJobs.get(uuid);
-        if (job) {
-            job.status = 'failed';
-            job.error_message = error.message;
+        setJobStage(job, 'failed', { error_message: error.message, status_code: error.statusCode || 500 });
+    } finally {
+        // Clean up the still video and source image (and half-written outputs of a failed run)
+        const leftovers = [stillVideoPath, downloadedImagePath, job.imageFile];
+        if (!stored) leftovers.push(outputPathWithoutOverlay, outputPathWithOverlay, ...posterFiles);
+        for (const tempPath of leftovers) {
+            if (!tempPath) continue;
+            await fsp.unlink(tempPath).catch(() => {});
         }
     }
 }
 
-// Serve the output videos
-app.use("/download", express.static(OUTPUT_DIR));
+// Job type -> handler run by the queue workers
+const JOB_HANDLERS = {
+    meme: runMemeJob,
+    tweet: processVideoJob,
+    batch: runBatchJob
+};
 
-// Start server
-app.listen(PORT, () => {
-    console.log('========================================');
-    console.log(`🚀 Video Processing Server`);
-    console.log(`📍 Running on: http://localhost:${PORT}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-    console.log(`📁 Output directory: ${OUTPUT_DIR}`);
-    console.log(`🎨 Fonts configured:`);
-    console.log(`   - English: ${FONTS.english}`);
-    console.log(`   - Chinese: ${FONTS.chinese}`);
-    console.log(`   - Japanese: ${FONTS.japanese}`);
-    console.log(`   - Korean: ${FONTS.korean}`);
-    console.log('========================================\n');
+// Render cache admin - entry counts and size, and a purge of everything (or ?kind=download / ?kind=render)
+app.get("/api/admin/cache", requireApiKey, requireAdminKey, (req, res) => {
+    res.json(renderCacheStats());
+});
+
+app.delete("/api/admin/cache", requireApiKey, requireAdminKey, (req, res) => {
+    const { kind } = req.query;
+    if (kind !== undefined && kind !== 'download' && kind !== 'render') {
+        return res.status(400).json({ error: 'kind must be download or render' });
+    }
+    const purged = purgeRenderCache(kind || null);
+    res.json({ success: true, purged, cache: renderCacheStats() });
+});
+
+// Serve the output videos (local storage backend) - links are HMAC-signed, expire, and are
+// only handed out (via the status endpoint) to the key that owns the job
+app.get("/download/:key", (req, res) => {
+    const { key } = req.params;
+    const expires = parseInt(req.query.expires, 10);
+    const signature = String(req.query.signature || '');
+    const expected = expires ? signDownloadKey(key, expires) : '';
+
+    const valid = expected.length > 0 && signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+        return res.status(403).json({ error: 'Invalid download link' });
+    }
+    if (expires * 1000 < Date.now()) {
+        return res.status(403).json({ error: 'Download link expired' });
+    }
+
+    res.sendFile(path.join(OUTPUT_DIR, path.basename(key)), (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ error: 'File not found' });
+        }
+    });
 });
+
+// Start server once persisted jobs are back in the queue
+// Resolves with the listening http.Server (PORT=0 picks a free port, as the tests do)
+async function startServer() {
+    loadApiKeys();
+    await ensureDirectories();
+    await loadRenderCache();
+    await restoreJobs();
+    startStorageSweeper();
+
+    const server = app.listen(PORT, () => {
+        console.log('========================================');
+        console.log(`🚀 Video Processing Server`);
+        console.log(`📍 Running on: http://localhost:${PORT}`);
+        console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+        console.log(`📁 Output directory: ${OUTPUT_DIR}`);
+        console.log(`🗂️  Job store: ${JOBS_DIR} (concurrency: ${JOB_CONCURRENCY}, timeout: ${JOB_TIMEOUT_SECONDS > 0 ? `${JOB_TIMEOUT_SECONDS}s` : 'none'})`);
+        console.log(`📦 Storage: ${STORAGE_BACKEND}${STORAGE_BACKEND === 's3' ? ` (${S3_ENDPOINT}/${S3_BUCKET})` : ''}, outputs kept ${OUTPUT_TTL_SECONDS}s`);
+        console.log(`♻️  Render cache: ${CACHE_MAX_BYTES > 0 ? `${CACHE_DIR} (max ${CACHE_MAX_BYTES} bytes)` : 'disabled'}`);
+        if (AUTH_DISABLED) {
+            console.warn('⚠️  AUTH_DISABLED is set - every route is open');
+        } else if (apiKeys.size === 0) {
+            console.warn('⚠️  No API keys configured - every authenticated request will be rejected');
+        }
+        if (!WEBHOOK_SECRET) {
+            console.warn('⚠️  WEBHOOK_SECRET not set - requests with a callback_url will be rejected');
+        }
+        if (!process.env.DOWNLOAD_SIGNING_SECRET) {
+            console.warn('⚠️  DOWNLOAD_SIGNING_SECRET not set - download links stop working when the server restarts');
+        }
+        console.log(`🎨 Fonts configured:`);
+        console.log(`   - English: ${FONTS.english}`);
+        console.log(`   - Chinese: ${FONTS.chinese}`);
+        console.log(`   - Japanese: ${FONTS.japanese}`);
+        console.log(`   - Korean: ${FONTS.korean}`);
+        console.log('========================================\n');
+    });
+    await new Promise((resolve, reject) => server.once('listening', resolve).once('error', reject));
+    return server;
+}
+
+if (require.main === module) {
+    startServer().catch(err => {
+        console.error('❌ Failed to start server:', err);
+        process.exit(1);
+    });
+}
+
+// Used by the tests in test/
+module.exports = {
+    app,
+    startServer,
+    parseCaptionTimestamp,
+    parseSubtitleText,
+    parseCaptions,
+    readColor,
+    toAssColor,
+    loadFontInfo,
+    crc32,
+    writeZip,
+    signS3Request,
+    sweepStorage,
+    renderCacheKey,
+    loadApiKeys,
+    requireApiKey,
+    checkJobAdmission,
+    checkFetchHost,
+    checkAssetUrl,
+    readMemeRequest,
+    progressPercent,
+    escapeFilterPath
+};
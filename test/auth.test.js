@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApiKeys, requireApiKey, checkJobAdmission } = require("../server");
+
+const KEY = 'partner-key-0123456789';
+
+function loadKeys(entries) {
+    process.env.API_KEYS = JSON.stringify(entries);
+    loadApiKeys();
+}
+
+function call(middleware, headers) {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let nextCalled = false;
+    middleware(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+}
+
+test('loadApiKeys rejects short keys, missing names and duplicates', () => {
+    assert.throws(() => loadKeys([{ key: 'short', name: 'a' }]), /at least 16 characters/);
+    assert.throws(() => loadKeys([{ key: KEY }]), /"name"/);
+    assert.throws(() => loadKeys([{ key: KEY, name: 'a', projects: 'alpha' }]), /projects must be an array/);
+    assert.throws(() => loadKeys({ key: KEY, name: 'a' }), /JSON array/);
+    assert.throws(() => loadKeys([{ key: KEY, name: 'dup' }, { key: `${KEY}x`, name: 'dup' }]), /Duplicate API key name/);
+});
+
+test('requireApiKey accepts known keys and rejects the rest', () => {
+    loadKeys([{ key: KEY, name: 'partner', projects: ['alpha'], rate_limit_per_minute: 3, max_concurrent_jobs: 2 }]);
+
+    const accepted = call(requireApiKey, { 'x-api-key': KEY });
+    assert.ok(accepted.nextCalled);
+    assert.equal(accepted.req.apiKey.name, 'partner');
+    assert.equal(accepted.req.apiKey.rate_limit_per_minute, 3);
+
+    for (const headers of [{}, { 'x-api-key': 'wrong-key-0123456789' }]) {
+        const rejected = call(requireApiKey, headers);
+        assert.ok(!rejected.nextCalled);
+        assert.equal(rejected.res.statusCode, 401);
+    }
+});
+
+test('checkJobAdmission enforces project binding, the rate limit and the job quota', () => {
+    const apiKey = { name: 'quota-test', projects: ['alpha'], rate_limit_per_minute: 3, max_concurrent_jobs: 2 };
+
+    assert.equal(checkJobAdmission(null, 'anything'), null, 'auth disabled admits everything');
+    assert.equal(checkJobAdmission(apiKey, 'beta').status, 403);
+
+    // A submission over the rate limit is refused whole, and doesn't use any of it up
+    assert.match(checkJobAdmission(apiKey, 'alpha', 4).error, /over the rate limit/);
+
+    // A batch of 3 items is one job against a quota of 2, but 3 submissions against the rate limit
+    assert.equal(checkJobAdmission(apiKey, 'alpha', 3), null);
+    const limited = checkJobAdmission(apiKey, 'alpha');
+    assert.equal(limited.status, 429);
+    assert.match(limited.error, /Rate limit exceeded/);
+    assert.ok(limited.retryAfter > 0 && limited.retryAfter <= 60);
+});
@@ -0,0 +1,89 @@
+// Runs the real server with one API key on the default quota (2 concurrent jobs) against a local
+// receiver that never finishes sending the video, so submitted work stays in progress
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+const API_KEY = 'batch-test-key-0123456789';
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-test-"));
+Object.assign(process.env, {
+    PORT: "0",
+    API_KEYS: JSON.stringify([{ key: API_KEY, name: 'batch-test' }]),
+    FETCH_ALLOW_PRIVATE_NETWORKS: "true", // the receiver is on 127.0.0.1
+    JOBS_DIR: path.join(stateDir, "jobs"),
+    CACHE_DIR: path.join(stateDir, "cache")
+});
+delete process.env.AUTH_DISABLED;
+delete process.env.DEFAULT_MAX_CONCURRENT_JOBS;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { once } = require("events");
+const axios = require("axios");
+const { startServer } = require("../server");
+
+// The server logs every stage; on stderr that chatter can't garble the test runner's stdout protocol
+console.log = console.error;
+
+const stalledResponses = new Set();
+const receiver = http.createServer((req, res) => {
+    stalledResponses.add(res);
+    res.on('close', () => stalledResponses.delete(res));
+});
+
+let server;
+let api;
+let videoUrl;
+
+test.before(async () => {
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    videoUrl = `http://127.0.0.1:${receiver.address().port}/video.mp4`;
+    server = await startServer();
+    api = axios.create({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        headers: { 'X-API-Key': API_KEY },
+        validateStatus: () => true
+    });
+});
+
+test.after(async () => {
+    stalledResponses.forEach(res => res.destroy());
+    server.close();
+    receiver.close();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+async function waitForStatus(jobId, status) {
+    const deadline = Date.now() + 10000;
+    while ((await api.get(`/api/status/${jobId}`)).data.status !== status) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${jobId} to be ${status}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('a batch takes one slot of the job quota however many items it has', async () => {
+    const items = Array.from({ length: 12 }, (_, index) => ({ meme_top_text: `Variant ${index + 1}` }));
+    const batch = await api.post('/api/batch', { final_stitched_video: videoUrl, items });
+    assert.equal(batch.status, 202);
+    assert.equal(batch.data.items, 12);
+
+    // The batch and one more job fill the default quota of 2
+    const job = await api.post('/process-video', { final_stitched_video: videoUrl, meme_top_text: 'Single' });
+    assert.equal(job.status, 202);
+    const refused = await api.post('/process-video', { final_stitched_video: videoUrl, meme_top_text: 'One too many' });
+    assert.equal(refused.status, 429);
+    assert.match(refused.data.error, /Too many jobs in progress/);
+
+    // Finishing either one frees its slot
+    assert.equal((await api.delete(`/api/jobs/${job.data.job_id}`)).status, 202);
+    await waitForStatus(job.data.job_id, 'cancelled');
+    const next = await api.post('/process-video', { final_stitched_video: videoUrl, meme_top_text: 'Next' });
+    assert.equal(next.status, 202);
+
+    for (const id of [batch.data.batch_id, next.data.job_id]) {
+        await api.delete(`/api/jobs/${id}`);
+        await waitForStatus(id, 'cancelled');
+    }
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { renderCacheKey } = require("../server");
+
+const template = { name: 'default', text: { color: 'white' } };
+const params = {
+    final_stitched_video: 'https://cdn.example.com/a.mp4',
+    meme_top_text: 'Top',
+    meme_bottom_text: 'Bottom',
+    branding: { opacity: 0.5, logo_url: 'https://cdn.example.com/logo.png' },
+    callback_url: 'https://hooks.example.com/a'
+};
+const hashes = { video: 'v1', logo: 'l1' };
+
+test('renderCacheKey ignores asset URLs and the callback', () => {
+    const moved = {
+        ...params,
+        final_stitched_video: 'https://mirror.example.com/copy.mp4',
+        branding: { ...params.branding, logo_url: 'https://mirror.example.com/logo-copy.png' },
+        callback_url: 'https://hooks.example.com/b'
+    };
+    assert.equal(renderCacheKey(moved, hashes, template), renderCacheKey(params, hashes, template));
+});
+
+test('renderCacheKey changes with content hashes, render params and the template', () => {
+    const key = renderCacheKey(params, hashes, template);
+    assert.notEqual(renderCacheKey(params, { ...hashes, logo: 'l2' }, template), key);
+    assert.notEqual(renderCacheKey(params, { ...hashes, video: 'v2' }, template), key);
+    assert.notEqual(renderCacheKey({ ...params, meme_top_text: 'Other' }, hashes, template), key);
+    assert.notEqual(renderCacheKey({ ...params, branding: { ...params.branding, opacity: 1 } }, hashes, template), key);
+    assert.notEqual(renderCacheKey(params, hashes, { ...template, text: { color: 'yellow' } }), key);
+});
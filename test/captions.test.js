@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCaptionTimestamp, parseSubtitleText, parseCaptions } = require("../server");
+
+test('parseCaptionTimestamp reads SRT, VTT and plain seconds', () => {
+    assert.equal(parseCaptionTimestamp('00:01:02,500'), 62.5);
+    assert.equal(parseCaptionTimestamp('01:02.5'), 62.5);
+    assert.equal(parseCaptionTimestamp('1:00:00.000'), 3600);
+    assert.equal(parseCaptionTimestamp(4.25), 4.25);
+    assert.throws(() => parseCaptionTimestamp('soon'), /Invalid caption timestamp/);
+});
+
+test('parseSubtitleText reads SRT cues', () => {
+    const cues = parseSubtitleText('1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\nworld\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nBye\r\n');
+    assert.deepEqual(cues, [
+        { start: 1, end: 2.5, text: 'Hello\nworld', words: null },
+        { start: 3, end: 4, text: 'Bye', words: null }
+    ]);
+});
+
+test('parseSubtitleText reads VTT with cue settings, tags and NOTE blocks', () => {
+    const vtt = [
+        'WEBVTT - demo',
+        '',
+        'NOTE written by hand',
+        '',
+        'intro',
+        '00:01.000 --> 00:02.000 align:start position:10%',
+        '<v Roger>Hi <b>there</b>',
+        ''
+    ].join('\n');
+    assert.deepEqual(parseSubtitleText(vtt), [{ start: 1, end: 2, text: 'Hi there', words: null }]);
+});
+
+test('parseCaptions groups words into lines at the word limit, punctuation and pauses', () => {
+    const cues = parseCaptions([
+        { start: 0, end: 0.4, text: 'one' },
+        { start: 0.4, end: 0.8, text: 'two' },
+        { start: 0.8, end: 1.2, text: 'three' },
+        { start: 1.2, end: 1.6, text: 'four.' },
+        { start: 1.6, end: 2, text: 'five' },
+        { start: 4, end: 4.5, text: 'later' }
+    ], 3);
+    assert.deepEqual(cues.map(cue => cue.text), ['one two three', 'four.', 'five', 'later']);
+    assert.equal(cues[0].start, 0);
+    assert.equal(cues[0].end, 1.2);
+    assert.equal(cues[0].words.length, 3);
+});
+
+test('parseCaptions rejects bad input', () => {
+    assert.throws(() => parseCaptions('no timings here'), /SRT\/VTT text or an array/);
+    assert.throws(() => parseCaptions('00:00:02,000 --> 00:00:01,000\nBackwards'), /ends before it starts/);
+    assert.throws(() => parseCaptions([{ start: 0, text: 'no end' }]), /start, end and text/);
+    assert.throws(() => parseCaptions('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n'), /no cues/);
+});
@@ -0,0 +1,241 @@
+// Runs the real server on a free port against a local receiver: the receiver holds video
+// requests open (so jobs stay busy downloading) until the test lets them fail or cancels
+// them, and records the signed callbacks
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "queue-test-"));
+Object.assign(process.env, {
+    PORT: "0",
+    AUTH_DISABLED: "true",
+    FETCH_ALLOW_PRIVATE_NETWORKS: "true", // the receiver is on 127.0.0.1
+    WEBHOOK_SECRET: "queue-test-secret",
+    WEBHOOK_RETRY_BASE_MS: "50",
+    JOB_CONCURRENCY: "1",
+    JOBS_DIR: path.join(stateDir, "jobs"),
+    CACHE_DIR: path.join(stateDir, "cache")
+});
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const { once } = require("events");
+const axios = require("axios");
+const { startServer, sweepStorage } = require("../server");
+
+const TEMP_DIR = "/tmp"; // where the server keeps per-job temp files
+
+// The server logs every stage; on stderr that chatter can't garble the test runner's stdout protocol
+console.log = console.error;
+
+const callbacks = [];
+const videoRequests = [];
+const stalledResponses = new Set();
+let videosAvailable = true;
+
+let callbackAttempts = 0;
+
+const receiver = http.createServer((req, res) => {
+    if (req.url.startsWith('/video')) {
+        videoRequests.push(req.url);
+        if (!videosAvailable) {
+            res.statusCode = 404;
+            return res.end();
+        }
+        stalledResponses.add(res);
+        res.on('close', () => stalledResponses.delete(res));
+        return; // never answered - the download hangs until the test gives up on it
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        // The very first delivery is refused so the retry path runs too
+        if (++callbackAttempts === 1) {
+            res.statusCode = 503;
+            return res.end();
+        }
+        callbacks.push({ headers: req.headers, body });
+        res.end('ok');
+    });
+});
+
+async function waitFor(check, what) {
+    const deadline = Date.now() + 10000;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// Checks a callback the way a receiver should: a recent timestamp, and the HMAC over `${timestamp}.${body}`
+function assertSigned(callback) {
+    const timestamp = callback.headers['x-signature-timestamp'];
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 300, 'timestamp within the 5 minute tolerance');
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'queue-test-secret').update(`${timestamp}.${callback.body}`).digest('hex');
+    assert.equal(callback.headers['x-signature-256'], expected);
+}
+
+// Records left by an earlier run, last touched 8 days ago (past the default 7 day retention)
+const eightDaysAgo = new Date(Date.now() - 8 * 24 * 3600 * 1000).toISOString();
+const oldJobs = {
+    finished: { id: crypto.randomUUID(), status: 'failed' },
+    outputsLive: { id: crypto.randomUUID(), status: 'done', expires_at: new Date(Date.now() + 3600 * 1000).toISOString() }
+};
+
+let server;
+let api;
+let receiverUrl;
+
+test.before(async () => {
+    fs.mkdirSync(process.env.JOBS_DIR, { recursive: true });
+    for (const job of Object.values(oldJobs)) {
+        const record = { type: 'meme', stages: {}, created_at: eightDaysAgo, updated_at: eightDaysAgo, ...job };
+        fs.writeFileSync(path.join(process.env.JOBS_DIR, `${job.id}.json`), JSON.stringify(record));
+    }
+
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    server = await startServer();
+    api = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+});
+
+test.after(async () => {
+    stalledResponses.forEach(res => res.destroy());
+    server.close();
+    receiver.close();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+const submit = (name) => api.post('/process-video', {
+    final_stitched_video: `${receiverUrl}/video/${name}.mp4`,
+    meme_top_text: name,
+    callback_url: `${receiverUrl}/callback`
+});
+
+const statusOf = async (jobId) => (await api.get(`/api/status/${jobId}`)).data.status;
+
+test('jobs queue behind the concurrency limit and report failures with a signed callback', async () => {
+    const first = await submit('first');
+    const second = await submit('second');
+    assert.equal(first.status, 202);
+    assert.equal(second.status, 202);
+    assert.equal(first.data.status_url, `/api/status/${first.data.job_id}`);
+
+    // One worker: the first job is downloading, the second waits its turn
+    await waitFor(() => videoRequests.length === 1, 'the first download');
+    assert.equal(await statusOf(first.data.job_id), 'downloading');
+    assert.equal(await statusOf(second.data.job_id), 'queued');
+
+    const record = JSON.parse(fs.readFileSync(path.join(process.env.JOBS_DIR, `${first.data.job_id}.json`), 'utf8'));
+    assert.equal(record.status, 'downloading');
+    assert.ok(record.stages.queued && record.stages.downloading);
+
+    // Once the first download fails, the worker moves on to the second job
+    videosAvailable = false;
+    stalledResponses.forEach(res => { res.statusCode = 404; res.end(); });
+    await waitFor(async () => (await statusOf(second.data.job_id)) === 'failed', 'the second job to fail');
+    assert.equal(await statusOf(first.data.job_id), 'failed');
+    assert.equal(videoRequests.length, 2);
+
+    await waitFor(() => callbacks.length === 2, 'both callbacks');
+    for (const jobId of [first.data.job_id, second.data.job_id]) {
+        const callback = callbacks.find(entry => entry.headers['x-job-id'] === jobId);
+        assert.ok(callback, `callback for ${jobId}`);
+        assert.equal(callback.headers['x-job-status'], 'failed');
+        assertSigned(callback);
+        const payload = JSON.parse(callback.body);
+        assert.equal(payload.success, false);
+        assert.equal(payload.job_id, jobId);
+    }
+
+    // Every attempt is kept on the job record, including the refused first one
+    await waitFor(async () => {
+        const { data } = await api.get(`/api/status/${first.data.job_id}`);
+        return data.callback && data.callback.delivered;
+    }, 'the first callback to be recorded');
+    const { callback } = (await api.get(`/api/status/${first.data.job_id}`)).data;
+    assert.equal(callback.attempts.length, 2);
+    assert.equal(callback.attempts[0].status_code, 503);
+});
+
+test('queued and running jobs cancel with a signed callback', async () => {
+    videosAvailable = true;
+    videoRequests.length = 0;
+    callbacks.length = 0;
+
+    const first = await submit('third');
+    const second = await submit('fourth');
+    await waitFor(() => videoRequests.length === 1, 'the first download');
+    assert.equal(await statusOf(first.data.job_id), 'downloading');
+    assert.equal(await statusOf(second.data.job_id), 'queued');
+
+    // A queued job is cancelled on the spot
+    const cancelQueued = await api.delete(`/api/jobs/${second.data.job_id}`);
+    assert.equal(cancelQueued.status, 200);
+    assert.equal(cancelQueued.data.status, 'cancelled');
+
+    // A running job is stopped: its download is aborted and it winds down to cancelled
+    const cancelRunning = await api.delete(`/api/jobs/${first.data.job_id}`);
+    assert.equal(cancelRunning.status, 202);
+    assert.equal(cancelRunning.data.status, 'cancelling');
+    await waitFor(() => callbacks.length === 2, 'both callbacks');
+
+    assert.equal(await statusOf(first.data.job_id), 'cancelled');
+    assert.equal((await api.delete(`/api/jobs/${first.data.job_id}`)).status, 409);
+    assert.equal(videoRequests.length, 1, 'the cancelled queued job never started');
+
+    for (const jobId of [first.data.job_id, second.data.job_id]) {
+        const callback = callbacks.find(entry => entry.headers['x-job-id'] === jobId);
+        assert.ok(callback, `callback for ${jobId}`);
+        assert.equal(callback.headers['x-job-status'], 'cancelled');
+        assertSigned(callback);
+        const payload = JSON.parse(callback.body);
+        assert.equal(payload.success, false);
+        assert.equal(payload.error, 'Job cancelled');
+        assert.equal(payload.job_id, jobId);
+    }
+});
+
+test('the sweeper keeps temp files of jobs still in progress, however old', async () => {
+    videoRequests.length = 0;
+    const job = await submit('fifth');
+    await waitFor(() => videoRequests.length === 1, 'the download');
+
+    const sevenHoursAgo = new Date(Date.now() - 7 * 3600 * 1000);
+    const liveFile = path.join(TEMP_DIR, `${job.data.job_id}_batch_video.mp4`);
+    const orphanFile = path.join(TEMP_DIR, `${crypto.randomUUID()}_video.mp4`);
+    for (const file of [liveFile, orphanFile]) {
+        fs.writeFileSync(file, 'stale');
+        fs.utimesSync(file, sevenHoursAgo, sevenHoursAgo);
+    }
+    try {
+        await sweepStorage();
+        assert.ok(fs.existsSync(liveFile), 'the running job keeps its file');
+        assert.ok(!fs.existsSync(orphanFile), 'a file no live job owns is swept');
+    } finally {
+        fs.rmSync(liveFile, { force: true });
+        fs.rmSync(orphanFile, { force: true });
+        await api.delete(`/api/jobs/${job.data.job_id}`);
+        await waitFor(async () => {
+            const { callback } = (await api.get(`/api/status/${job.data.job_id}`)).data;
+            return callback && callback.delivered;
+        }, 'the cancelled job to wind down');
+    }
+});
+
+test('finished job records are pruned once past retention, unless their outputs are still live', async () => {
+    await sweepStorage();
+    assert.equal((await api.get(`/api/status/${oldJobs.finished.id}`)).status, 404);
+    assert.ok(!fs.existsSync(path.join(process.env.JOBS_DIR, `${oldJobs.finished.id}.json`)));
+
+    assert.equal((await api.get(`/api/status/${oldJobs.outputsLive.id}`)).status, 200);
+    assert.ok(fs.existsSync(path.join(process.env.JOBS_DIR, `${oldJobs.outputsLive.id}.json`)));
+});
+
+test('unknown jobs are 404', async () => {
+    assert.equal((await api.get('/api/status/no-such-job')).status, 404);
+    assert.equal((await api.delete('/api/jobs/no-such-job')).status, 404);
+});
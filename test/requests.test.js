@@ -0,0 +1,57 @@
+process.env.WEBHOOK_SECRET = "test-secret";
+process.env.FETCH_DENIED_HOSTS = "internal.example";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkFetchHost, checkAssetUrl, readMemeRequest } = require("../server");
+
+const VIDEO_URL = 'http://93.184.216.34/video.mp4'; // a public address, so no DNS lookup is needed
+
+test('checkFetchHost applies the deny list and blocks private IP literals', () => {
+    assert.throws(() => checkFetchHost('api.internal.example'), (err) => err.statusCode === 403);
+    for (const host of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '[::1]', '::ffff:127.0.0.1']) {
+        assert.throws(() => checkFetchHost(host), (err) => err.statusCode === 403, host);
+    }
+    assert.doesNotThrow(() => checkFetchHost('93.184.216.34'));
+});
+
+test('checkFetchHost blocks NAT64 and 6to4 addresses embedding a private IPv4 address', () => {
+    for (const host of ['64:ff9b::7f00:1', '[64:ff9b::127.0.0.1]', '64:ff9b::a9fe:a9fe', '64:ff9b:1::5db8:d822', '2002:7f00:1::', '2002:a9fe:a9fe::1']) {
+        assert.throws(() => checkFetchHost(host), (err) => err.statusCode === 403, host);
+    }
+    // The same ranges around a public address (93.184.216.34) are fine
+    assert.doesNotThrow(() => checkFetchHost('64:ff9b::5db8:d822'));
+    assert.doesNotThrow(() => checkFetchHost('2002:5db8:d822::1'));
+});
+
+test('checkAssetUrl rejects bad schemes and hosts resolving to private addresses', async () => {
+    await assert.rejects(checkAssetUrl('not a url', 'field'), (err) => err.statusCode === 400);
+    await assert.rejects(checkAssetUrl('file:///etc/passwd', 'field'), (err) => err.statusCode === 400);
+    await assert.rejects(checkAssetUrl('http://localhost:8080/', 'field'), (err) => err.statusCode === 403);
+    await checkAssetUrl(VIDEO_URL, 'field');
+});
+
+test('readMemeRequest runs callback_url through the asset URL checks', async () => {
+    for (const callbackUrl of ['http://127.0.0.1:9000/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://localhost/hook']) {
+        const request = await readMemeRequest({ final_stitched_video: VIDEO_URL, callback_url: callbackUrl });
+        assert.equal(request.status, 403, callbackUrl);
+    }
+    assert.equal((await readMemeRequest({ final_stitched_video: VIDEO_URL, callback_url: 'ftp://93.184.216.34/hook' })).status, 400);
+    assert.equal((await readMemeRequest({ final_stitched_video: VIDEO_URL, callback_url: 42 })).status, 400);
+
+    const request = await readMemeRequest({ final_stitched_video: VIDEO_URL, callback_url: 'https://93.184.216.34/hook' });
+    assert.equal(request.params.callback_url, 'https://93.184.216.34/hook');
+});
+
+test('readMemeRequest validates the request body', async () => {
+    assert.equal((await readMemeRequest({})).status, 400);
+    assert.equal((await readMemeRequest({ final_stitched_video: VIDEO_URL, clips: [] })).status, 400);
+    assert.equal((await readMemeRequest({ final_stitched_video: 'http://10.0.0.5/video.mp4' })).status, 403);
+    assert.match((await readMemeRequest({ final_stitched_video: VIDEO_URL, formats: ['3:2'] })).error, /formats must be/);
+    assert.match((await readMemeRequest({ final_stitched_video: VIDEO_URL, captions: 'nope' })).error, /captions must be/);
+
+    const { params } = await readMemeRequest({ final_stitched_video: VIDEO_URL, formats: ['9:16', '9:16'], output_formats: ['mp4', 'gif'] });
+    assert.deepEqual(params.formats, ['9:16']);
+    assert.deepEqual(params.output_formats, ['gif']);
+    assert.equal(params.template, 'default');
+});
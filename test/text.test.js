@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { readColor, toAssColor, loadFontInfo, escapeFilterPath, progressPercent } = require("../server");
+
+const FONTS_DIR = path.join(__dirname, "..", "public", "fonts");
+
+test('readColor reads names, hex and opacity', () => {
+    assert.deepEqual(readColor('white'), { rgb: 'FFFFFF', alpha: 1 });
+    assert.deepEqual(readColor('#ffcc00'), { rgb: 'FFCC00', alpha: 1 });
+    assert.deepEqual(readColor('0x00ff80@0.25'), { rgb: '00FF80', alpha: 0.25 });
+    assert.deepEqual(readColor('Black@0'), { rgb: '000000', alpha: 0 });
+});
+
+test('readColor rejects what ffmpeg colors are not', () => {
+    for (const color of ['#fff', 'chartreuse', 'white@2', 'white@0.5@1', '#ggggggg', '', null, 12]) {
+        assert.equal(readColor(color), null, String(color));
+    }
+});
+
+test('toAssColor writes &HAABBGGRR with inverted alpha', () => {
+    assert.equal(toAssColor('#112233'), '&H00332211');
+    assert.equal(toAssColor('black@0.5'), '&H80000000');
+    assert.equal(toAssColor('not a color'), '&H00FFFFFF');
+});
+
+test('loadFontInfo reads names, metrics, cmap coverage and advances', () => {
+    const montserrat = loadFontInfo(path.join(FONTS_DIR, "Montserrat-Bold.ttf"));
+    assert.equal(montserrat.family, 'Montserrat');
+    assert.equal(montserrat.bold, true);
+    assert.ok(montserrat.unitsPerEm > 0);
+    assert.ok(montserrat.ascender > 0 && montserrat.descender < 0);
+    assert.ok(montserrat.hasGlyph('A'.codePointAt(0)));
+    assert.ok(!montserrat.hasGlyph('你'.codePointAt(0)));
+    assert.ok(montserrat.advance('W'.codePointAt(0)) > montserrat.advance('i'.codePointAt(0)));
+
+    const chinese = loadFontInfo(path.join(FONTS_DIR, "ZCOOLKuaiLe-Regular.ttf"));
+    assert.ok(chinese.hasGlyph('你'.codePointAt(0)));
+    assert.equal(chinese.bold, false);
+});
+
+test('loadFontInfo returns null for files that are not fonts', () => {
+    assert.equal(loadFontInfo(path.join(FONTS_DIR, "test")), null);
+});
+
+test('escapeFilterPath escapes colons and quotes for filter arguments', () => {
+    assert.equal(escapeFilterPath("/tmp/a:b/it's.png"), "/tmp/a\\:b/it'\\\\''s.png");
+    assert.equal(escapeFilterPath('C:\\fonts\\x.ttf'), 'C\\:/fonts/x.ttf');
+});
+
+test('progressPercent measures the timemark against the output length', () => {
+    assert.equal(progressPercent({ timemark: '00:00:05.00' }, 20), 25);
+    assert.equal(progressPercent({ timemark: '00:01:00.00' }, 20), 100);
+    assert.equal(progressPercent({}, 20), 0);
+    assert.equal(progressPercent({ timemark: '00:00:05.00' }, 0), null);
+});
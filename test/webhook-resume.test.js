@@ -0,0 +1,86 @@
+// Starts the server over a job store holding a finished job whose callback was cut off by a restart
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-resume-test-"));
+Object.assign(process.env, {
+    PORT: "0",
+    AUTH_DISABLED: "true",
+    FETCH_ALLOW_PRIVATE_NETWORKS: "true", // the receiver is on 127.0.0.1
+    WEBHOOK_SECRET: "resume-test-secret",
+    WEBHOOK_RETRY_BASE_MS: "50",
+    JOBS_DIR: path.join(stateDir, "jobs"),
+    CACHE_DIR: path.join(stateDir, "cache")
+});
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const { once } = require("events");
+const { startServer } = require("../server");
+
+// The server logs every stage; on stderr that chatter can't garble the test runner's stdout protocol
+console.log = console.error;
+
+test('a callback left pending by a restart resumes from its next attempt', async (t) => {
+    const callbacks = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            callbacks.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+
+    const jobId = crypto.randomUUID();
+    const jobPath = path.join(process.env.JOBS_DIR, `${jobId}.json`);
+    const now = new Date().toISOString();
+    fs.mkdirSync(process.env.JOBS_DIR, { recursive: true });
+    fs.writeFileSync(jobPath, JSON.stringify({
+        id: jobId,
+        type: 'meme',
+        status: 'failed',
+        stages: { queued: now, failed: now },
+        created_at: now,
+        error: 'Download failed',
+        params: { callback_url: `http://127.0.0.1:${receiver.address().port}/callback` },
+        callback: {
+            url: `http://127.0.0.1:${receiver.address().port}/callback`,
+            delivered: false,
+            pending: true,
+            attempts: [{ attempt: 1, at: now, error: 'connect ECONNREFUSED' }],
+            next_attempt_at: now
+        }
+    }));
+
+    const server = await startServer();
+    t.after(() => {
+        server.close();
+        receiver.close();
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    const deadline = Date.now() + 10000;
+    while (!JSON.parse(fs.readFileSync(jobPath, 'utf8')).callback.delivered) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the resumed callback');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    assert.equal(callbacks.length, 1);
+    const [callback] = callbacks;
+    const timestamp = callback.headers['x-signature-timestamp'];
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'resume-test-secret').update(`${timestamp}.${callback.body}`).digest('hex');
+    assert.equal(callback.headers['x-signature-256'], expected);
+    assert.equal(JSON.parse(callback.body).job_id, jobId);
+
+    const { callback: record } = JSON.parse(fs.readFileSync(jobPath, 'utf8'));
+    assert.equal(record.pending, false);
+    assert.equal(record.next_attempt_at, undefined);
+    assert.deepEqual(record.attempts.map(attempt => attempt.attempt), [1, 2]);
+    assert.equal(record.attempts[1].status_code, 200);
+});
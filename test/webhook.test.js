@@ -0,0 +1,17 @@
+delete process.env.WEBHOOK_SECRET;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { readMemeRequest } = require("../server");
+
+test('callback_url is refused when WEBHOOK_SECRET is unset, so no callback goes out unsigned', async () => {
+    const request = await readMemeRequest({
+        final_stitched_video: 'http://93.184.216.34/video.mp4',
+        callback_url: 'https://93.184.216.34/hook'
+    });
+    assert.equal(request.status, 400);
+    assert.match(request.error, /WEBHOOK_SECRET/);
+
+    const withoutCallback = await readMemeRequest({ final_stitched_video: 'http://93.184.216.34/video.mp4' });
+    assert.equal(withoutCallback.params.callback_url, undefined);
+});